@@ -0,0 +1,222 @@
+// AI Superintendent backends behind a common streaming interface.
+
+import {
+  DESIGN_RULESET_VERSION
+} from './hvac.js';
+
+// --- AI PROVIDERS ---
+// Every provider implements stream(request, settings, onChunk) where request is
+// { type, prompt, context } and onChunk receives text as it arrives.
+const AI_SETTINGS_STORAGE_KEY = 'ductmaster.ai';
+
+const readErrorDetail = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    const data = JSON.parse(text);
+    const detail = data.error?.message || data.error || data.message;
+    if (detail) return typeof detail === 'string' ? detail : JSON.stringify(detail);
+  } catch (err) {
+    // Not JSON; fall back to the raw body
+  }
+  return text.trim().slice(0, 200) || response.statusText || 'no response body';
+};
+
+const HTTP_HINTS = {
+  400: 'check the model name and request settings',
+  401: 'check the API key',
+  403: 'check the API key and that it is allowed to use this model',
+  404: 'check the base URL and model name',
+  429: 'rate limit or quota exceeded; wait and retry'
+};
+
+// fetch() that turns network failures and HTTP errors into messages naming the cause
+const fetchProvider = async (label, url, init) => {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (err) {
+    let host = url;
+    try { host = new URL(url).origin; } catch (e) { /* keep raw url */ }
+    throw new Error(`Could not reach ${label} at ${host} (${err.message}). Check the base URL, your network, and that the server allows browser (CORS) requests.`);
+  }
+  if (!response.ok) {
+    const detail = await readErrorDetail(response);
+    const hint = HTTP_HINTS[response.status];
+    throw new Error(`${label} returned HTTP ${response.status}: ${detail}${hint ? ` (${hint})` : ''}`);
+  }
+  return response;
+};
+
+// Reads a server-sent-events body, calling onEvent with each parsed "data:" payload
+const readEventStream = async (response, label, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return true;
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return false;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (err) {
+      throw new Error(`${label} sent a malformed stream chunk: ${payload.slice(0, 80)}`);
+    }
+    onEvent(event);
+    return true;
+  };
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!handleLine(line)) return;
+    }
+  }
+  if (buffer) handleLine(buffer);
+};
+
+const isEventStream = (response) => (response.headers.get('content-type') || '').includes('text/event-stream');
+
+const trimSlash = (url) => url.trim().replace(/\/+$/, '');
+
+const geminiText = (data, label) => {
+  if (data.error) throw new Error(`${label} error: ${data.error.message || JSON.stringify(data.error)}`);
+  if (data.promptFeedback?.blockReason) throw new Error(`${label} blocked the prompt (${data.promptFeedback.blockReason}).`);
+  return (data.candidates?.[0]?.content?.parts || []).map((part) => part.text || '').join('');
+};
+
+const openAiText = (data, label) => {
+  if (data.error) throw new Error(`${label} error: ${data.error.message || JSON.stringify(data.error)}`);
+  const choice = data.choices?.[0];
+  return choice?.delta?.content ?? choice?.message?.content ?? '';
+};
+
+// Rule-based text built from the design-rule findings; same input, same answer
+export const buildOfflineResponse = (type, context) => {
+  const { data, findings } = context;
+  if (type !== 'analyze') {
+    return [
+      'FIELD INSTRUCTION - Duct Installation',
+      `Airflow: ${data.airflow}`,
+      `Rectangular size: ${data.rectSize} (equivalent to ${data.roundSize})`,
+      `Material: ${data.material}`,
+      'Verify ceiling depth, clearances and obstructions before fabrication. Report any conflict to the engineer before changing the duct size.'
+    ].join('\n');
+  }
+  if (!findings.length) {
+    return `All design rules passed (ruleset v${DESIGN_RULESET_VERSION}). Recommendation: no change needed.`;
+  }
+  return findings
+    .map((f) => `${f.severity.toUpperCase()}: ${f.message} Fix: ${f.fix} [${f.ref}]`)
+    .join('\n');
+};
+
+export const AI_PROVIDERS = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    fields: ['model', 'baseUrl', 'apiKey'],
+    defaults: { model: 'gemini-2.5-flash-preview-09-2025', baseUrl: 'https://generativelanguage.googleapis.com/v1beta', apiKey: '' },
+    stream: async ({ prompt }, settings, onChunk) => {
+      const key = settings.apiKey ? `&key=${encodeURIComponent(settings.apiKey)}` : '';
+      const url = `${trimSlash(settings.baseUrl)}/models/${encodeURIComponent(settings.model)}:streamGenerateContent?alt=sse${key}`;
+      const response = await fetchProvider('Gemini', url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
+      });
+      if (!isEventStream(response)) {
+        onChunk(geminiText(await response.json(), 'Gemini'));
+        return;
+      }
+      await readEventStream(response, 'Gemini', (event) => onChunk(geminiText(event, 'Gemini')));
+    }
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    fields: ['model', 'baseUrl', 'apiKey'],
+    defaults: { model: 'llama3.1', baseUrl: 'http://localhost:11434/v1', apiKey: '' },
+    stream: async ({ prompt }, settings, onChunk) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+      const response = await fetchProvider('OpenAI-compatible endpoint', `${trimSlash(settings.baseUrl)}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: settings.model, messages: [{ role: 'user', content: prompt }], stream: true })
+      });
+      // Some local servers ignore stream: true and answer with a single JSON body
+      if (!isEventStream(response)) {
+        onChunk(openAiText(await response.json(), 'OpenAI-compatible endpoint'));
+        return;
+      }
+      await readEventStream(response, 'OpenAI-compatible endpoint', (event) => onChunk(openAiText(event, 'OpenAI-compatible endpoint')));
+    }
+  },
+  {
+    id: 'offline',
+    label: 'Offline rules',
+    fields: [],
+    defaults: {},
+    stream: async ({ type, context }, settings, onChunk) => {
+      buildOfflineResponse(type, context).split('\n').forEach((line, i) => onChunk(i === 0 ? line : `\n${line}`));
+    }
+  }
+];
+
+// Provider that replays a canned reply word by word; reply may be a string,
+// a function of the request, or an Error to simulate a failure
+export const createMockProvider = (reply = 'Mock response.') => ({
+  id: 'mock',
+  label: 'Mock',
+  fields: [],
+  defaults: {},
+  stream: async (request, settings, onChunk) => {
+    const text = typeof reply === 'function' ? reply(request) : reply;
+    if (text instanceof Error) throw text;
+    String(text).split(/(?=\s)/).forEach((word) => onChunk(word));
+  }
+});
+
+export const getAiProvider = (id, providers = AI_PROVIDERS) => providers.find((p) => p.id === id) || providers[0];
+
+// Runs a provider and returns the full text; an answer with no text is an error
+export const streamAiResponse = async (provider, request, settings, onChunk) => {
+  let text = '';
+  await provider.stream(request, { ...provider.defaults, ...settings }, (chunk) => {
+    if (!chunk) return;
+    text += chunk;
+    onChunk(chunk);
+  });
+  if (!text.trim()) throw new Error(`${provider.label} returned an empty response.`);
+  return text;
+};
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'gemini',
+  ...Object.fromEntries(AI_PROVIDERS.map((p) => [p.id, { ...p.defaults }]))
+};
+
+export const loadAiSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(AI_SETTINGS_STORAGE_KEY)) || {};
+    return Object.fromEntries(Object.entries(DEFAULT_AI_SETTINGS).map(([key, value]) => [
+      key,
+      typeof value === 'object' ? { ...value, ...stored[key] } : stored[key] || value
+    ]));
+  } catch (err) {
+    return DEFAULT_AI_SETTINGS;
+  }
+};
+
+export const saveAiSettings = (settings) => {
+  try {
+    window.localStorage.setItem(AI_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Storage disabled; settings last for this session only
+  }
+};
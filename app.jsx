@@ -12,77 +12,209 @@ import {
   FileText,
   MessageSquare,
   Loader2,
-  Copy
+  Copy,
+  GitBranch,
+  Plus,
+  Trash2,
+  Wrench,
+  Circle,
+  Volume2,
+  FolderOpen,
+  Save,
+  Download,
+  Upload,
+  Table,
+  Printer,
+  Layers,
+  Thermometer,
+  Droplets,
+  Fan,
+  Settings2,
+  ListChecks,
+  Link,
+  Sheet,
+  LineChart
 } from 'lucide-react';
-
-// --- CONVERSION CONSTANTS ---
-const CMH_TO_CFM = 0.588578;
-const PA_M_TO_IN_100FT = 0.1224; 
-const M_S_TO_FPM = 196.85;
-const MM_TO_IN = 0.0393701;
-
-// --- HVAC MATH FUNCTIONS (SMACNA / ASHRAE) ---
-const solveDiaByFriction = (cfm, friction) => {
-  if (cfm <= 0 || friction <= 0) return 0;
-  return Math.pow((0.109136 * Math.pow(cfm, 1.9)) / friction, 1 / 5.02);
-};
-
-const solveDiaByVelocity = (cfm, fpm) => {
-  if (cfm <= 0 || fpm <= 0) return 0;
-  const areaSqFt = cfm / fpm;
-  return 2 * Math.sqrt(areaSqFt / Math.PI) * 12; 
-};
-
-const calcVelocity = (cfm, diaInches) => {
-  if (diaInches <= 0) return 0;
-  const areaSqFt = Math.PI * Math.pow(diaInches / 24, 2);
-  return cfm / areaSqFt;
-};
-
-const calcFriction = (cfm, diaInches) => {
-  if (diaInches <= 0 || cfm <= 0) return 0;
-  return (0.109136 * Math.pow(cfm, 1.9)) / Math.pow(diaInches, 5.02);
-};
-
-const solveRectDimension = (targetDia, knownSide) => {
-  if (targetDia <= 0 || knownSide <= 0) return 0;
-  let bestSide = 0;
-  let minDiff = 1000;
-  for (let x = 2; x <= 150; x += 0.5) {
-    const top = Math.pow(knownSide * x, 0.625);
-    const bot = Math.pow(knownSide + x, 0.25);
-    const calcDe = 1.30 * (top / bot);
-    const diff = Math.abs(calcDe - targetDia);
-    if (diff < minDiff) {
-      minDiff = diff;
-      bestSide = x;
-    }
-  }
-  return bestSide;
-};
+import {
+  CMH_TO_CFM,
+  PA_M_TO_IN_100FT,
+  M_S_TO_FPM,
+  MM_TO_IN,
+  M_TO_FT,
+  PA_TO_IN_WG,
+  KG_M3_TO_LB_FT3,
+  M2_TO_SQFT,
+  KG_TO_LB,
+  R_SI_TO_IP,
+  W_TO_BTUH,
+  L_S_TO_CFM,
+  cToF,
+  fToC,
+  STANDARD_AIR,
+  DUCT_MATERIALS,
+  getMaterial,
+  AIR_CONDITION_RANGES,
+  calcAirProperties,
+  calcVelocityPressure,
+  calcFriction,
+  solveDiaByFriction,
+  solveRectDimension,
+  standardSeries,
+  snapToStandard,
+  calcRoundPerformance,
+  calcRectPerformance,
+  rankRectAlternatives,
+  FLAT_OVAL_ASPECT_LIMITS,
+  calcFlatOvalGeometry,
+  solveFlatOvalMajor,
+  REGAIN_COEF_RANGE,
+  calcStaticRegainBalance,
+  checkExistingDuct,
+  solveMaxAirflow,
+  sizeDuct,
+  analyzeDuctSystem,
+  PRESSURE_CLASSES,
+  pressureClassLabel,
+  SEAM_ALLOWANCE,
+  calcMaterialTakeoff,
+  calcDuctHeatTransfer,
+  SEAL_CLASSES,
+  evaluateLeakTest,
+  APPLICATION_PROFILES,
+  getProfile,
+  classifyRange,
+  estimateDuctNoise,
+  estimateNC,
+  FITTINGS,
+  getFitting,
+  fittingDefaults,
+  clampFittingParam,
+  calcFittingsLoss,
+  calcSystemPressure,
+  solveOperatingPoint,
+  parseFanCurveCsv,
+  DEFAULT_FAN_CURVE,
+  DEFAULT_SEGMENTS,
+  FRICTION_CHART_RANGE,
+  buildFrictionChart,
+  DESIGN_RULESET_VERSION,
+  MAX_ASPECT_RATIO,
+  DESIGN_RULES,
+  checkDesignRules,
+  parseBatchCsv,
+  sizeBatchRow
+} from './hvac.js';
+import {
+  parseShareLink,
+  buildShareQuery,
+  loadProjects,
+  saveProjects,
+  serializeProjects,
+  parseProjectsFile,
+  newId,
+  downloadFile,
+  scheduleHeaders,
+  toCsv,
+  buildSubmittalHtml,
+  openPrintPage
+} from './io.js';
+import {
+  AI_PROVIDERS,
+  getAiProvider,
+  streamAiResponse,
+  loadAiSettings,
+  saveAiSettings
+} from './ai.js';
 
 export default function App() {
   // --- STATE ---
-  const [units, setUnits] = useState('IP'); 
-  const [mode, setMode] = useState('friction'); 
+  // Initial inputs come from a shared link when one was opened
+  const [linkState] = useState(() => parseShareLink(window.location.search));
+  const [units, setUnits] = useState(linkState.units); 
+  const [mode, setMode] = useState(linkState.mode); 
 
   // Input States (Native IP)
-  const [airflowIP, setAirflowIP] = useState(1000); 
-  const [frictionIP, setFrictionIP] = useState(0.1); 
-  const [velocityIP, setVelocityIP] = useState(1200); 
-  const [rectSideIP, setRectSideIP] = useState(12); 
+  const [airflowIP, setAirflowIP] = useState(linkState.airflowIP); 
+  const [frictionIP, setFrictionIP] = useState(linkState.frictionIP); 
+  const [velocityIP, setVelocityIP] = useState(linkState.velocityIP); 
+  const [rectSideIP, setRectSideIP] = useState(linkState.rectSideIP); 
+  const [ovalMinorIP, setOvalMinorIP] = useState(8);
+  const [rectTolerance, setRectTolerance] = useState(10); // % deviation from target
+  const [upstreamVelocityIP, setUpstreamVelocityIP] = useState(linkState.upstreamVelocityIP);
+  const [regainCoef, setRegainCoef] = useState(linkState.regainCoef);
+
+  // Existing Duct (Native IP: inches)
+  const [existingShape, setExistingShape] = useState(linkState.existingShape); // 'round' or 'rect'
+  const [existingDiaIP, setExistingDiaIP] = useState(linkState.existingDiaIP);
+  const [existingWidthIP, setExistingWidthIP] = useState(linkState.existingWidthIP);
+  const [existingHeightIP, setExistingHeightIP] = useState(linkState.existingHeightIP);
+  const [checkLimit, setCheckLimit] = useState(linkState.checkLimit); // 'friction' or 'velocity'
+  const [materialId, setMaterialId] = useState(linkState.materialId);
+  const [frictionMethod, setFrictionMethod] = useState(linkState.frictionMethod); // 'darcy' or 'chart'
+  const [profileId, setProfileId] = useState(linkState.profileId);
+
+  // Air Conditions (Native IP: ft, °F, %RH)
+  const [elevationFt, setElevationFt] = useState(linkState.elevationFt);
+  const [airTempF, setAirTempF] = useState(linkState.airTempF);
+  const [humidity, setHumidity] = useState(linkState.humidity);
 
   // Calculated Results
   const [resultDia, setResultDia] = useState(0);
   const [resultVelocity, setResultVelocity] = useState(0);
   const [resultFriction, setResultFriction] = useState(0);
   const [resultRectSide, setResultRectSide] = useState(0);
+  const [resultOvalMajor, setResultOvalMajor] = useState(0);
+
+  // Run & Fittings State (Native IP: ft)
+  const [runLengthFt, setRunLengthFt] = useState(linkState.runLengthFt);
+  const [fittings, setFittings] = useState(linkState.fittings);
+  const [newFittingId, setNewFittingId] = useState(FITTINGS[0].id);
+
+  // Sheet Metal Takeoff State (Native IP: in.wg, inches)
+  const [pressureClass, setPressureClass] = useState(2);
+  const [builtShape, setBuiltShape] = useState('rect'); // 'round' or 'rect', shared with heat transfer
+  const [insulationIn, setInsulationIn] = useState(1.5);
+
+  // Duct Heat Transfer State (Native IP: °F, h·ft²·°F/Btu)
+  const [ambientTempF, setAmbientTempF] = useState(120);
+  const [supplyTempF, setSupplyTempF] = useState(55);
+  const [ductRValue, setDuctRValue] = useState(6);
+  const [tempDriftLimitF, setTempDriftLimitF] = useState(2);
+
+  // Leakage Test State (Native IP: in.wg, ft, CFM)
+  const [sealClassId, setSealClassId] = useState('A');
+  const [leakageClass, setLeakageClass] = useState(6);
+  const [testPressure, setTestPressure] = useState(2);
+  const [leakReadings, setLeakReadings] = useState([{ id: 1, section: 'Section 1', length: 100, measured: null }]);
+
+  // Duct System State (Native IP: CFM, ft)
+  const [segments, setSegments] = useState(DEFAULT_SEGMENTS);
+
+  // Fan Curve State (Native IP: CFM, in.wg)
+  const [fanPoints, setFanPoints] = useState(DEFAULT_FAN_CURVE);
+  const [extraLossIP, setExtraLossIP] = useState(0);
+  const [fanError, setFanError] = useState('');
+
+  // Batch Sizing (Native IP: CFM, inches)
+  const [batchRows, setBatchRows] = useState([]);
+  const [batchText, setBatchText] = useState('');
+  const [batchError, setBatchError] = useState('');
+
+  // Project State
+  const [projects, setProjects] = useState(loadProjects);
+  const [activeProjectId, setActiveProjectId] = useState(null);
+  const [ductName, setDuctName] = useState('');
+  const [projectError, setProjectError] = useState('');
+  const [scheduleScope, setScheduleScope] = useState('current'); // 'current' or 'project'
 
   // AI State
   const [aiLoading, setAiLoading] = useState(false);
   const [aiResponse, setAiResponse] = useState('');
   const [aiError, setAiError] = useState('');
   const [aiMode, setAiMode] = useState(null); // 'analyze' or 'draft'
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
+  const [showAiSettings, setShowAiSettings] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
 
   // --- HANDLERS ---
   const handleAirflowChange = (val) => {
@@ -103,51 +235,451 @@ export default function App() {
     else setVelocityIP(num * M_S_TO_FPM);
   };
 
+  const handleOvalMinorChange = (val) => {
+    const num = Number(val);
+    if (units === 'IP') setOvalMinorIP(num);
+    else setOvalMinorIP(num * MM_TO_IN);
+  };
+
+  const handleExistingSizeChange = (setter, val) => {
+    const num = Number(val);
+    if (units === 'IP') setter(num);
+    else setter(num * MM_TO_IN);
+  };
+
+  const handleUpstreamVelocityChange = (val) => {
+    const num = Number(val);
+    if (units === 'IP') setUpstreamVelocityIP(num);
+    else setUpstreamVelocityIP(num * M_S_TO_FPM);
+  };
+
   const handleRectSideChange = (val) => {
     const num = Number(val);
     if (units === 'IP') setRectSideIP(num);
     else setRectSideIP(num * MM_TO_IN);
   };
 
-  const copyToClipboard = () => {
-    if (aiResponse) {
-      // Use document.execCommand for iframe compatibility
-      const textArea = document.createElement("textarea");
-      textArea.value = aiResponse;
-      document.body.appendChild(textArea);
-      textArea.select();
-      document.execCommand("copy");
-      document.body.removeChild(textArea);
+  // Air conditions stay inside the range the moist air correlations cover
+  const handleElevationChange = (val) => {
+    const num = Number(val);
+    const [min, max] = AIR_CONDITION_RANGES.elevationFt;
+    setElevationFt(Math.min(max, Math.max(min, units === 'IP' ? num : num * M_TO_FT)));
+  };
+
+  const handleAirTempChange = (val) => {
+    const num = Number(val);
+    const [min, max] = AIR_CONDITION_RANGES.tempF;
+    setAirTempF(Math.min(max, Math.max(min, units === 'IP' ? num : cToF(num))));
+  };
+
+  const handleRunLengthChange = (val) => {
+    const num = Number(val);
+    if (units === 'IP') setRunLengthFt(num);
+    else setRunLengthFt(num * M_TO_FT);
+  };
+
+  const addFitting = () => {
+    const fitting = getFitting(newFittingId);
+    const uid = fittings.reduce((max, f) => Math.max(max, f.uid), 0) + 1;
+    setFittings([...fittings, { uid, fittingId: fitting.id, qty: 1, params: fittingDefaults(fitting) }]);
+  };
+
+  const updateFitting = (uid, changes) => {
+    setFittings(fittings.map((f) => (f.uid === uid ? { ...f, ...changes } : f)));
+  };
+
+  const removeFitting = (uid) => setFittings(fittings.filter((f) => f.uid !== uid));
+
+  const updateSegment = (id, field, val) => {
+    let next = val;
+    if (field === 'cfm') next = units === 'IP' ? Number(val) : Number(val) * CMH_TO_CFM;
+    if (field === 'length') next = units === 'IP' ? Number(val) : Number(val) * M_TO_FT;
+    if (field === 'parentId') next = val === '' ? null : Number(val);
+    setSegments(segments.map((seg) => (seg.id === id ? { ...seg, [field]: next } : seg)));
+  };
+
+  const addSegment = () => {
+    const id = segments.reduce((max, seg) => Math.max(max, seg.id), 0) + 1;
+    const parentId = segments.length ? segments[segments.length - 1].id : null;
+    setSegments([...segments, { id, name: `Segment ${id}`, parentId, cfm: 500, length: 20 }]);
+  };
+
+  const removeSegment = (id) => {
+    // Re-attach orphaned branches to the removed segment's parent
+    const removed = segments.find((seg) => seg.id === id);
+    setSegments(segments
+      .filter((seg) => seg.id !== id)
+      .map((seg) => (seg.parentId === id ? { ...seg, parentId: removed.parentId } : seg)));
+  };
+
+  // --- FRICTION CHART HANDLERS ---
+  // Picking a point sets airflow and friction directly, so the chart drives Friction mode
+  const setFromChart = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - box.left) / box.width) * chartPlot.width;
+    const y = ((e.clientY - box.top) / box.height) * chartPlot.height;
+    const fx = (x - chartPlot.left) / (chartPlot.width - chartPlot.left - chartPlot.right);
+    const fy = (chartPlot.height - chartPlot.bottom - y) / (chartPlot.height - chartPlot.bottom - chartPlot.top);
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    const [fMin, fMax] = FRICTION_CHART_RANGE.friction;
+    const [qMin, qMax] = FRICTION_CHART_RANGE.airflow;
+    if (mode !== 'friction') setMode('friction');
+    setFrictionIP(Number((fMin * Math.pow(fMax / fMin, clamp(fx))).toPrecision(3)));
+    setAirflowIP(Math.round(qMin * Math.pow(qMax / qMin, clamp(fy))));
+  };
+
+  // --- BATCH HANDLERS ---
+  const loadBatch = (text) => {
+    try {
+      // CSV values are read in the units currently shown
+      const { rows, skipped } = parseBatchCsv(text);
+      setBatchRows(rows.map((row, i) => ({
+        id: i + 1,
+        tag: row.tag,
+        cfm: units === 'IP' ? row.airflow : row.airflow * CMH_TO_CFM,
+        side: row.side === null ? null : units === 'IP' ? row.side : row.side * MM_TO_IN
+      })));
+      setBatchError(skipped.length ? `Skipped ${skipped.length} line(s). ${skipped.join('; ')}` : '');
+    } catch (err) {
+      setBatchError(err.message);
+    }
+  };
+
+  const importBatchFile = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      setBatchText(text);
+      loadBatch(text);
+    }).catch((err) => setBatchError(err.message));
+  };
+
+  const updateBatchRow = (id, field, val) => {
+    let next = val;
+    if (field === 'cfm') next = units === 'IP' ? Number(val) : Number(val) * CMH_TO_CFM;
+    if (field === 'side') next = val === '' ? null : units === 'IP' ? Number(val) : Number(val) * MM_TO_IN;
+    setBatchRows(batchRows.map((row) => (row.id === id ? { ...row, [field]: next } : row)));
+  };
+
+  const addBatchRow = () => {
+    const id = batchRows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+    setBatchRows([...batchRows, { id, tag: `Row ${id}`, cfm: 500, side: null }]);
+  };
+
+  const removeBatchRow = (id) => setBatchRows(batchRows.filter((row) => row.id !== id));
+
+  const exportBatchCsv = () => {
+    const headers = [...scheduleHeaders(units), 'Findings'];
+    const rows = batchResults.map((row) => [
+      ...scheduleRow(row.tag, batchMode, { airflow: row.cfm, ...row.sized }),
+      row.findings.map((f) => `${f.severity.toUpperCase()}: ${f.message}`).join(' | ')
+    ]);
+    downloadFile('batch-sizing.csv', toCsv(headers, rows), 'text/csv');
+  };
+
+  // --- PROJECT HANDLERS ---
+  const activeProject = projects.find((p) => p.id === activeProjectId) || null;
+
+  const captureInputs = () => ({
+    airflowIP, frictionIP, velocityIP, rectSideIP, ovalMinorIP, upstreamVelocityIP, regainCoef,
+    existingShape, existingDiaIP, existingWidthIP, existingHeightIP, checkLimit,
+    materialId, frictionMethod, profileId, elevationFt, airTempF, humidity, runLengthFt, fittings
+  });
+
+  const applyInputs = (inputs) => {
+    const setters = {
+      airflowIP: setAirflowIP, frictionIP: setFrictionIP, velocityIP: setVelocityIP, rectSideIP: setRectSideIP,
+      ovalMinorIP: setOvalMinorIP, upstreamVelocityIP: setUpstreamVelocityIP, regainCoef: setRegainCoef,
+      existingShape: setExistingShape, existingDiaIP: setExistingDiaIP, existingWidthIP: setExistingWidthIP,
+      existingHeightIP: setExistingHeightIP, checkLimit: setCheckLimit, materialId: setMaterialId,
+      frictionMethod: setFrictionMethod, profileId: setProfileId, elevationFt: setElevationFt,
+      airTempF: setAirTempF, humidity: setHumidity, runLengthFt: setRunLengthFt, fittings: setFittings
+    };
+    Object.entries(setters).forEach(([key, setter]) => {
+      if (inputs[key] !== undefined) setter(inputs[key]);
+    });
+  };
+
+  const captureResults = () => ({
+    dia: resultDia,
+    velocity: resultVelocity,
+    friction: resultFriction,
+    rectSide: rectSideIP,
+    rectResult: resultRectSide,
+    ovalMinor: ovalMinorIP,
+    ovalMajor: resultOvalMajor,
+    runLoss
+  });
+
+  const updateProjects = (next) => {
+    setProjects(next);
+    saveProjects(next);
+  };
+
+  const createProject = () => {
+    const project = { id: newId(), name: `Project ${projects.length + 1}`, createdAt: new Date().toISOString(), ducts: [] };
+    updateProjects([...projects, project]);
+    setActiveProjectId(project.id);
+  };
+
+  const renameProject = (id, name) => {
+    updateProjects(projects.map((p) => (p.id === id ? { ...p, name } : p)));
+  };
+
+  const deleteProject = (id) => {
+    updateProjects(projects.filter((p) => p.id !== id));
+    if (activeProjectId === id) setActiveProjectId(null);
+  };
+
+  const saveDuct = () => {
+    if (!activeProject) return;
+    const name = ductName.trim() || `Duct ${activeProject.ducts.length + 1}`;
+    const entry = { units, mode, inputs: captureInputs(), results: captureResults(), savedAt: new Date().toISOString() };
+    // Saving under an existing name overwrites that entry
+    const existing = activeProject.ducts.find((d) => d.name === name);
+    const ducts = existing
+      ? activeProject.ducts.map((d) => (d.id === existing.id ? { ...d, ...entry } : d))
+      : [...activeProject.ducts, { id: newId(), name, ...entry }];
+    updateProjects(projects.map((p) => (p.id === activeProject.id ? { ...p, ducts } : p)));
+    setDuctName(name);
+  };
+
+  const loadDuct = (duct) => {
+    setUnits(duct.units === 'SI' ? 'SI' : 'IP');
+    setMode(duct.mode || 'friction');
+    applyInputs(duct.inputs);
+    setDuctName(duct.name);
+  };
+
+  const deleteDuct = (ductId) => {
+    updateProjects(projects.map((p) => (p.id === activeProjectId ? { ...p, ducts: p.ducts.filter((d) => d.id !== ductId) } : p)));
+  };
+
+  const exportProjects = () => {
+    const list = activeProject ? [activeProject] : projects;
+    const name = activeProject ? activeProject.name.replace(/[^\w-]+/g, '_') : 'ductmaster-projects';
+    downloadFile(`${name}.json`, serializeProjects(list), 'application/json');
+  };
+
+  const importProjects = (file) => {
+    if (!file) return;
+    setProjectError('');
+    file.text().then((text) => {
+      const { projects: imported, dropped } = parseProjectsFile(text);
+      // Imported projects never overwrite local ones; they get fresh ids
+      const copies = imported.map((p) => ({ ...p, id: newId() }));
+      updateProjects([...projects, ...copies]);
+      if (copies.length) setActiveProjectId(copies[0].id);
+      if (dropped.length) setProjectError(`Skipped ${dropped.length} invalid entr${dropped.length === 1 ? 'y' : 'ies'}: ${dropped.join('; ')}`);
+    }).catch((err) => setProjectError(err.message));
+  };
+
+  // --- SCHEDULE HANDLERS ---
+  const scheduleRow = (tag, entryMode, results) => {
+    const toLen = (inches, decimals) => formatNumber(units === 'IP' ? inches : inches / MM_TO_IN, decimals);
+    const sides = [results.rectSide, results.rectResult];
+    // Unsized rectangles (zero airflow or side) have no ratio to judge
+    const sized = sides.every((side) => side > 0);
+    const ratio = sized ? Math.max(...sides) / Math.min(...sides) : NaN;
+    return [
+      tag,
+      formatNumber(units === 'IP' ? results.airflow : results.airflow / CMH_TO_CFM, 0),
+      entryMode,
+      toLen(results.dia, units === 'IP' ? 1 : 0),
+      `${toLen(results.rectSide, 0)} x ${toLen(results.rectResult, 0)}`,
+      formatNumber(units === 'IP' ? results.velocity : results.velocity / M_S_TO_FPM, units === 'IP' ? 0 : 1),
+      formatNumber(units === 'IP' ? results.friction : results.friction / PA_M_TO_IN_100FT, 2),
+      sized ? `1:${formatNumber(ratio, 2)}` : '-',
+      !sized ? 'Not sized' : ratio > MAX_ASPECT_RATIO ? `Exceeds 1:${MAX_ASPECT_RATIO}` : 'OK'
+    ];
+  };
+
+  const buildSchedule = () => {
+    if (scheduleScope === 'project' && activeProject) {
+      return activeProject.ducts.map((d) => scheduleRow(d.name, d.mode, { airflow: d.inputs.airflowIP, ...d.results }));
     }
+    return [scheduleRow(ductName.trim() || 'Current', mode, { airflow: airflowIP, ...captureResults() })];
+  };
+
+  const scheduleTitle = () => (scheduleScope === 'project' && activeProject ? activeProject.name : 'DuctMaster Pro');
+
+  const exportScheduleCsv = () => {
+    const filename = `${scheduleTitle().replace(/[^\w-]+/g, '_')}-schedule.csv`;
+    downloadFile(filename, toCsv(scheduleHeaders(units), buildSchedule()), 'text/csv');
+  };
+
+  const printSubmittal = () => {
+    const html = buildSubmittalHtml({ title: scheduleTitle(), units, headers: scheduleHeaders(units), rows: buildSchedule() });
+    openPrintPage(html, `${scheduleTitle().replace(/[^\w-]+/g, '_')}-submittal.html`);
+  };
+
+  // --- LEAKAGE HANDLERS ---
+  const selectSealClass = (id) => {
+    const seal = SEAL_CLASSES.find((c) => c.id === id);
+    setSealClassId(id);
+    setLeakageClass(builtShape === 'round' ? seal.round : seal.rect);
+  };
+
+  // Seal class tables list separate CL values for round and rectangular duct
+  const selectBuiltShape = (shape) => {
+    const seal = SEAL_CLASSES.find((c) => c.id === sealClassId);
+    setBuiltShape(shape);
+    setLeakageClass(shape === 'round' ? seal.round : seal.rect);
+  };
+
+  const updateLeakReading = (id, field, val) => {
+    let next = val;
+    if (field === 'length') next = units === 'IP' ? Number(val) : Number(val) * M_TO_FT;
+    // An emptied reading means the section has not been tested
+    if (field === 'measured') next = val === '' ? null : units === 'IP' ? Number(val) : Number(val) * L_S_TO_CFM;
+    setLeakReadings(leakReadings.map((r) => (r.id === id ? { ...r, [field]: next } : r)));
+  };
+
+  const addLeakReading = () => {
+    const id = leakReadings.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+    setLeakReadings([...leakReadings, { id, section: `Section ${id}`, length: runLengthFt, measured: null }]);
+  };
+
+  const removeLeakReading = (id) => setLeakReadings(leakReadings.filter((r) => r.id !== id));
+
+  const leakResultLabel = (pass, untested) => (pass === null ? untested : pass ? 'PASS' : 'FAIL');
+
+  const leakReportRows = () => leakTest.sections.map((s) => [
+    s.section,
+    formatNumber(units === 'IP' ? s.length : s.length / M_TO_FT, 0),
+    showArea(s.surfaceArea),
+    formatNumber(showLeakage(s.allowable), 1),
+    s.pass === null ? '-' : formatNumber(showLeakage(s.measured), 1),
+    leakResultLabel(s.pass, 'Not tested')
+  ]);
+
+  const leakReportHeaders = () => [
+    'Section',
+    `Length (${units === 'IP' ? 'ft' : 'm'})`,
+    `Surface (${units === 'IP' ? 'ft²' : 'm²'})`,
+    `Allowable (${units === 'IP' ? 'CFM' : 'L/s'})`,
+    `Measured (${units === 'IP' ? 'CFM' : 'L/s'})`,
+    'Result'
+  ];
+
+  const leakReportSummary = () => [
+    `Duct: ${builtShape === 'round' ? `Ø ${showSize(stdRound.dia)}` : `${showSize(stdRect.width)} x ${showSize(stdRect.height)}`} ${units === 'IP' ? 'in' : 'mm'}`,
+    `${SEAL_CLASSES.find((c) => c.id === sealClassId).label}, leakage class CL ${leakageClass}`,
+    `Test pressure: ${units === 'IP' ? `${formatNumber(testPressure, 1)} in.wg` : `${formatNumber(testPressure / PA_TO_IN_WG, 0)} Pa`}`,
+    `${leakTest.tested} of ${leakTest.sections.length} section(s) tested`,
+    `Total allowable ${formatNumber(showLeakage(leakTest.allowable), 1)} / measured ${formatNumber(showLeakage(leakTest.measured), 1)} ${units === 'IP' ? 'CFM' : 'L/s'}: ${leakResultLabel(leakTest.pass, 'No readings')}`
+  ];
+
+  const exportLeakCsv = () => {
+    downloadFile('leak-test-report.csv', toCsv(leakReportHeaders(), leakReportRows()), 'text/csv');
+  };
+
+  const printLeakReport = () => {
+    const html = buildSubmittalHtml({
+      title: scheduleTitle(),
+      subtitle: 'Duct Leakage Test Report',
+      units,
+      headers: leakReportHeaders(),
+      rows: leakReportRows(),
+      summary: leakReportSummary(),
+      basis: ['Allowable leakage: F = CL × P^0.65 cfm per 100 ft² of duct surface (SMACNA HVAC Air Duct Leakage Test Manual).']
+    });
+    openPrintPage(html, 'leak-test-report.html');
+  };
+
+  // --- FAN CURVE HANDLERS ---
+  const updateFanPoint = (id, field, val) => {
+    const num = Number(val);
+    const next = field === 'cfm'
+      ? (units === 'IP' ? num : num * CMH_TO_CFM)
+      : (units === 'IP' ? num : num * PA_TO_IN_WG);
+    setFanPoints(fanPoints.map((p) => (p.id === id ? { ...p, [field]: next } : p)));
+  };
+
+  const addFanPoint = () => {
+    const id = fanPoints.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    const last = fanPoints[fanPoints.length - 1];
+    setFanPoints([...fanPoints, { id, cfm: last ? last.cfm + 250 : 0, sp: 0 }]);
+  };
+
+  const removeFanPoint = (id) => setFanPoints(fanPoints.filter((p) => p.id !== id));
+
+  const importFanCurve = (file) => {
+    if (!file) return;
+    setFanError('');
+    file.text().then((text) => {
+      // CSV values are read in the units currently shown
+      const { points, skipped } = parseFanCurveCsv(text);
+      setFanPoints(points.map((p, i) => ({
+        id: i + 1,
+        cfm: units === 'IP' ? p.cfm : p.cfm * CMH_TO_CFM,
+        sp: units === 'IP' ? p.sp : p.sp * PA_TO_IN_WG
+      })));
+      setFanError(skipped.length ? `Skipped ${skipped.length} line(s). ${skipped.join('; ')}` : '');
+    }).catch((err) => setFanError(err.message));
+  };
+
+  const handleTempInput = (setter, val) => {
+    const num = Number(val);
+    if (units === 'IP') setter(num);
+    else setter(cToF(num));
+  };
+
+  const copyText = (text) => {
+    // Use document.execCommand for iframe compatibility
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    textArea.select();
+    document.execCommand("copy");
+    document.body.removeChild(textArea);
+  };
+
+  const copyToClipboard = () => {
+    if (aiResponse) copyText(aiResponse);
+  };
+
+  const copyShareLink = () => {
+    copyText(shareUrl);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  // --- AI CALL ---
+  const updateAiSettings = (next) => {
+    setAiSettings(next);
+    saveAiSettings(next);
+  };
+
+  const updateProviderSetting = (field, value) => {
+    updateAiSettings({ ...aiSettings, [aiSettings.provider]: { ...aiSettings[aiSettings.provider], [field]: value } });
   };
 
-  // --- GEMINI API CALL ---
-  const callGemini = async (type) => {
+  const callAi = async (type) => {
     setAiLoading(true);
     setAiResponse('');
     setAiError('');
     setAiMode(type);
 
-    const apiKey = ""; // Provided by runtime environment
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
     // Prepare Context Data
     const dataContext = {
       airflow: `${formatNumber(units === 'IP' ? airflowIP : airflowIP / CMH_TO_CFM, 0)} ${units === 'IP' ? 'CFM' : 'CMH'}`,
       velocity: `${formatNumber(units === 'IP' ? resultVelocity : resultVelocity / M_S_TO_FPM, 0)} ${units === 'IP' ? 'FPM' : 'm/s'}`,
       friction: `${formatNumber(units === 'IP' ? resultFriction : resultFriction / PA_M_TO_IN_100FT, 2)} ${units === 'IP' ? 'in.wg/100ft' : 'Pa/m'}`,
       roundSize: `${formatNumber(units === 'IP' ? resultDia : resultDia / MM_TO_IN, 1)}" ${units === 'IP' ? 'Round' : 'mm Round'}`,
-      rectSize: `${formatNumber(units === 'IP' ? rectSideIP : rectSideIP / MM_TO_IN, 0)} x ${formatNumber(units === 'IP' ? resultRectSide : resultRectSide / MM_TO_IN, 0)} ${units === 'IP' ? 'inches' : 'mm'}`
+      rectSize: `${formatNumber(units === 'IP' ? rectSideIP : rectSideIP / MM_TO_IN, 0)} x ${formatNumber(units === 'IP' ? resultRectSide : resultRectSide / MM_TO_IN, 0)} ${units === 'IP' ? 'inches' : 'mm'}`,
+      runPressureDrop: `${formatNumber(showLoss(runLoss), units === 'IP' ? 3 : 0)} ${units === 'IP' ? 'in.wg' : 'Pa'} over ${formatNumber(units === 'IP' ? runLengthFt : runLengthFt / M_TO_FT, 0)} ${units === 'IP' ? 'ft' : 'm'} incl. ${fittings.length} fitting(s)`,
+      velocityPressure: `${formatNumber(showVp, units === 'IP' ? 3 : 1)} ${units === 'IP' ? 'in.wg' : 'Pa'}`,
+      air: `${formatNumber(showDensity, 3)} ${units === 'IP' ? 'lb/ft³' : 'kg/m³'} at ${formatNumber(displayElevation, 0)} ${units === 'IP' ? 'ft' : 'm'}, ${formatNumber(displayAirTemp, 0)}${units === 'IP' ? '°F' : '°C'}, ${formatNumber(humidity, 0)}% RH`,
+      material: `${material.label} (${frictionMethod === 'darcy' ? 'Darcy-Weisbach' : 'Quick chart'})`,
+      application: `${profile.label}: velocity ${showRange(profile.velocity, showVelocityValue, units === 'IP' ? 0 : 1)} ${units === 'IP' ? 'FPM' : 'm/s'}, friction ${showRange(profile.friction, showFrictionValue, 2)} ${units === 'IP' ? 'in.wg/100ft' : 'Pa/m'}, NC ${profile.nc} target`,
+      estimatedNC: `NC ${formatNumber(estimatedNC, 0)} (regenerated duct noise estimate)`
     };
 
     let userPrompt = "";
     if (type === 'analyze') {
-      userPrompt = `Act as a senior HVAC Engineer. Analyze this duct design based on SMACNA standards. 
-      Data: ${JSON.stringify(dataContext)}. 
-      Please provide a concise assessment of: 
-      1. Noise risk (is velocity too high for an office?). 
-      2. Efficiency (is friction too high?). 
-      3. Recommendation. Keep it short (max 3 sentences).`;
+      userPrompt = `Act as a senior HVAC Engineer. A deterministic SMACNA/ASHRAE rule check (ruleset v${DESIGN_RULESET_VERSION}) produced these findings for a duct sized at ${dataContext.airflow}, ${dataContext.roundSize} / ${dataContext.rectSize}, for a ${profile.label}:
+      ${JSON.stringify(designFindings)}.
+      Explain the findings in order of severity and give one recommendation. Do not introduce limits or numbers that are not in the findings; if the list is empty, confirm the design passes. Keep it short (max 3 sentences).`;
     } else {
       userPrompt = `Act as an HVAC Project Manager. Draft a short, professional field instruction note for the installation team.
       Include the Airflow (${dataContext.airflow}), Required Rectangular Size (${dataContext.rectSize}), and mention that it is equivalent to ${dataContext.roundSize}. 
@@ -155,54 +687,63 @@ export default function App() {
     }
 
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: userPrompt }] }]
-        })
-      });
-
-      if (!response.ok) throw new Error('API Error');
-      
-      const data = await response.json();
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text || "No response generated.";
-      setAiResponse(text);
-
+      await streamAiResponse(
+        aiProvider,
+        { type, prompt: userPrompt, context: { data: dataContext, findings: designFindings } },
+        aiSettings[aiProvider.id],
+        (chunk) => setAiResponse((prev) => prev + chunk)
+      );
     } catch (err) {
-      setAiError("Failed to connect to AI. Please try again.");
+      setAiError(err.message || `${aiProvider.label} request failed.`);
     } finally {
       setAiLoading(false);
     }
   };
 
+  const aiProvider = getAiProvider(aiSettings.provider);
+  const material = getMaterial(materialId);
+  const air = calcAirProperties(elevationFt, airTempF, humidity);
+  const frictionOpts = { method: frictionMethod, roughness: material.roughnessFt, air };
+
+  const design = {
+    mode,
+    friction: frictionIP,
+    velocity: velocityIP,
+    rectSide: rectSideIP,
+    upstreamVelocity: upstreamVelocityIP,
+    regainCoef,
+    length: runLengthFt,
+    fittings,
+    existing: { shape: existingShape, dia: existingDiaIP, width: existingWidthIP, height: existingHeightIP }
+  };
+
   // --- CALCULATION EFFECT ---
   useEffect(() => {
-    let d = 0;
-    
-    // 1. Calculate Diameter based on Mode
-    if (mode === 'friction') {
-      d = solveDiaByFriction(airflowIP, frictionIP);
-      setResultDia(d);
-      setResultVelocity(calcVelocity(airflowIP, d));
-      setResultFriction(frictionIP); 
-    } else {
-      d = solveDiaByVelocity(airflowIP, velocityIP);
-      setResultDia(d);
-      setResultVelocity(velocityIP); 
-      setResultFriction(calcFriction(airflowIP, d));
-    }
+    // Diameter by mode, then the rectangular equivalent for the constrained side
+    const sized = sizeDuct(airflowIP, design, frictionOpts);
+    setResultDia(sized.dia);
+    setResultVelocity(sized.velocity);
+    setResultFriction(sized.friction);
+    setResultRectSide(sized.rectResult);
+    setResultOvalMajor(solveFlatOvalMajor(sized.dia, ovalMinorIP));
 
-    // 2. Calculate Rectangular Dimension
-    if (d > 0 && rectSideIP > 0) {
-      setResultRectSide(solveRectDimension(d, rectSideIP));
-    } else {
-      setResultRectSide(0);
-    }
+  }, [airflowIP, frictionIP, velocityIP, rectSideIP, ovalMinorIP, mode, materialId, frictionMethod, elevationFt, airTempF, humidity, upstreamVelocityIP, regainCoef, runLengthFt, fittings, existingShape, existingDiaIP, existingWidthIP, existingHeightIP]);
+
+  // --- SHARE LINK SYNC ---
+  const shareQuery = buildShareQuery({
+    units, mode, airflowIP, frictionIP, velocityIP, rectSideIP, upstreamVelocityIP, regainCoef,
+    existingShape, existingDiaIP, existingWidthIP, existingHeightIP, checkLimit,
+    materialId, frictionMethod, profileId, elevationFt, airTempF, humidity, runLengthFt, fittings
+  });
+  const shareUrl = `${window.location.origin}${window.location.pathname}?${shareQuery}`;
 
-  }, [airflowIP, frictionIP, velocityIP, rectSideIP, mode]);
+  useEffect(() => {
+    try {
+      window.history.replaceState(null, '', `${window.location.pathname}?${shareQuery}${window.location.hash}`);
+    } catch (err) {
+      // Browsers throttle replaceState during fast slider drags; the next change catches up
+    }
+  }, [shareQuery]);
 
   // --- DISPLAY HELPERS ---
   const formatNumber = (num, decimals = 1) => {
@@ -214,18 +755,178 @@ export default function App() {
   const displayAirflow = units === 'IP' ? airflowIP : airflowIP / CMH_TO_CFM;
   const displayFriction = units === 'IP' ? frictionIP : frictionIP / PA_M_TO_IN_100FT;
   const displayVelocity = units === 'IP' ? velocityIP : velocityIP / M_S_TO_FPM;
+  const displayUpstreamVelocity = units === 'IP' ? upstreamVelocityIP : upstreamVelocityIP / M_S_TO_FPM;
   const displayRectSide = units === 'IP' ? rectSideIP : rectSideIP / MM_TO_IN;
+  const displayOvalMinor = units === 'IP' ? ovalMinorIP : ovalMinorIP / MM_TO_IN;
+  const displayElevation = units === 'IP' ? elevationFt : elevationFt / M_TO_FT;
+  const displayAirTemp = units === 'IP' ? airTempF : fToC(airTempF);
   
   const showDia = units === 'IP' ? resultDia : resultDia / MM_TO_IN;
   const showVel = units === 'IP' ? resultVelocity : resultVelocity / M_S_TO_FPM;
   const showFric = units === 'IP' ? resultFriction : resultFriction / PA_M_TO_IN_100FT;
   const showRectRes = units === 'IP' ? resultRectSide : resultRectSide / MM_TO_IN;
 
+  // Air Density Correction
+  const resultVp = calcVelocityPressure(resultVelocity, air);
+  const showVp = units === 'IP' ? resultVp : resultVp / PA_TO_IN_WG;
+  const showDensity = units === 'IP' ? air.density : air.density / KG_M3_TO_LB_FT3;
+  const densityRatio = air.density / STANDARD_AIR.density;
+
+  // Quick chart comparison (diameter in friction mode, friction in velocity mode)
+  const chartDia = solveDiaByFriction(airflowIP, frictionIP, { method: 'chart', air });
+  const chartFriction = calcFriction(airflowIP, resultDia, { method: 'chart', air });
+  const showChartDia = units === 'IP' ? chartDia : chartDia / MM_TO_IN;
+  const showChartFric = units === 'IP' ? chartFriction : chartFriction / PA_M_TO_IN_100FT;
+
+  // Application Profile & Noise
+  const profile = getProfile(profileId);
+  const velocityStatus = classifyRange(resultVelocity, profile.velocity);
+  const frictionStatus = classifyRange(resultFriction, profile.friction);
+  const noise = estimateDuctNoise(resultVelocity, Math.PI * Math.pow(resultDia / 24, 2));
+  const estimatedNC = estimateNC(noise.bands);
+  const isNoiseWarning = estimatedNC > profile.nc;
+  const statusColor = (status) => (status === 'high' ? 'text-orange-400' : status === 'low' ? 'text-sky-400' : 'text-emerald-400');
+  const showRange = (range, toDisplay, decimals) => range.map((v) => formatNumber(toDisplay(v), decimals)).join('–');
+
+  // Existing Duct Check
+  const existingCheck = checkExistingDuct(airflowIP, design.existing, frictionOpts);
+  const maxAirflow = solveMaxAirflow(
+    design.existing,
+    { kind: checkLimit, value: checkLimit === 'friction' ? frictionIP : velocityIP },
+    frictionOpts
+  );
+  const showMaxAirflow = units === 'IP' ? maxAirflow : maxAirflow / CMH_TO_CFM;
+
+  // Static Regain Balance
+  const regainBalance = calcStaticRegainBalance(airflowIP, resultDia, upstreamVelocityIP, design, frictionOpts);
+
+  // Run Pressure Drop (straight duct + fittings)
+  const straightLoss = (resultFriction * runLengthFt) / 100;
+  const fittingsLoss = calcFittingsLoss(fittings, resultVelocity, air);
+  const runLoss = straightLoss + fittingsLoss.total;
+
+  // Duct System
+  const system = analyzeDuctSystem(segments, design, frictionOpts);
+  const segmentName = (id) => (segments.find((seg) => seg.id === id) || {}).name;
+  const showLoss = (inWg) => (units === 'IP' ? inWg : inWg / PA_TO_IN_WG);
+
+  // Fan & System Curves
+  const systemRun = { dia: resultDia, length: runLengthFt, fittings, extraLoss: extraLossIP, designCfm: airflowIP };
+  const systemPressure = (cfm) => calcSystemPressure(cfm, systemRun, frictionOpts);
+  const designPressure = systemPressure(airflowIP);
+  const operatingPoint = solveOperatingPoint(fanPoints, systemPressure);
+  const flowDelta = operatingPoint ? operatingPoint.cfm - airflowIP : NaN;
+
+  // Fan plot geometry (SVG user units)
+  const fanPlot = { width: 300, height: 180, pad: 28 };
+  const fanMaxQ = Math.max(airflowIP * 1.5, ...fanPoints.map((p) => p.cfm)) || 1;
+  const fanMaxP = Math.max(designPressure * 1.5, ...fanPoints.map((p) => p.sp)) || 1;
+  const fanX = (q) => fanPlot.pad + (q / fanMaxQ) * (fanPlot.width - fanPlot.pad - 8);
+  const fanY = (sp) => fanPlot.height - fanPlot.pad - (Math.min(sp, fanMaxP) / fanMaxP) * (fanPlot.height - fanPlot.pad - 8);
+  const fanPath = [...fanPoints].sort((a, b) => a.cfm - b.cfm).map((p, i) => `${i ? 'L' : 'M'}${fanX(p.cfm)},${fanY(p.sp)}`).join(' ');
+  const sysPath = Array.from({ length: 41 }, (_, i) => (fanMaxQ * i) / 40)
+    .map((q, i) => `${i ? 'L' : 'M'}${fanX(q)},${fanY(systemPressure(q))}`).join(' ');
+
+  // Friction Chart geometry (SVG user units, log-log: friction across, airflow up)
+  const chartPlot = { width: 300, height: 260, left: 30, bottom: 24, top: 8, right: 8 };
+  const chart = buildFrictionChart(units, frictionOpts);
+  const chartSpan = (range) => Math.log(range[1] / range[0]);
+  const chartX = (f) => chartPlot.left + (Math.log(f / FRICTION_CHART_RANGE.friction[0]) / chartSpan(FRICTION_CHART_RANGE.friction)) * (chartPlot.width - chartPlot.left - chartPlot.right);
+  const chartY = (q) => chartPlot.height - chartPlot.bottom - (Math.log(q / FRICTION_CHART_RANGE.airflow[0]) / chartSpan(FRICTION_CHART_RANGE.airflow)) * (chartPlot.height - chartPlot.bottom - chartPlot.top);
+  const chartPath = (points) => points.map((p, i) => `${i ? 'L' : 'M'}${chartX(p.friction)},${chartY(p.cfm)}`).join(' ');
+  const chartInRange = (f, q) => f >= FRICTION_CHART_RANGE.friction[0] && f <= FRICTION_CHART_RANGE.friction[1]
+    && q >= FRICTION_CHART_RANGE.airflow[0] && q <= FRICTION_CHART_RANGE.airflow[1];
+
   // Aspect Ratio Warning
   const safeDisplayRectSide = displayRectSide || 1; 
   const safeShowRectRes = showRectRes || 1;
   const ratioVal = Math.max(safeDisplayRectSide, safeShowRectRes) / Math.min(safeDisplayRectSide, safeShowRectRes);
-  const isRatioWarning = ratioVal > 4;
+  const isRatioWarning = ratioVal > MAX_ASPECT_RATIO;
+
+  // Design Rule Check
+  const designFindings = checkDesignRules({
+    cfm: airflowIP,
+    dia: resultDia,
+    rect: { width: rectSideIP, height: resultRectSide },
+    velocity: resultVelocity,
+    friction: resultFriction,
+    velocityPressure: resultVp,
+    runLoss,
+    pressureClass,
+    profile,
+    estimatedNC,
+    opts: frictionOpts,
+    units
+  });
+  const severityColor = { error: 'text-red-400', warning: 'text-orange-400', info: 'text-sky-400' };
+
+  // Batch Sizing (each row checked against the same rules; info findings are left out)
+  const batchMode = mode === 'velocity' ? 'velocity' : 'friction';
+  const batchResults = batchRows.map((row) => {
+    const sized = sizeBatchRow(row, design, frictionOpts);
+    const rowNoise = estimateDuctNoise(sized.velocity, Math.PI * Math.pow(sized.dia / 24, 2));
+    const findings = checkDesignRules({
+      cfm: row.cfm,
+      dia: sized.dia,
+      rect: { width: sized.rectSide, height: sized.rectResult },
+      velocity: sized.velocity,
+      friction: sized.friction,
+      velocityPressure: calcVelocityPressure(sized.velocity, air),
+      runLoss: 0,
+      pressureClass,
+      profile,
+      estimatedNC: estimateNC(rowNoise.bands),
+      opts: frictionOpts,
+      units
+    }).filter((f) => f.severity !== 'info');
+    return { ...row, sized, findings };
+  });
+
+  // Standard Sizes (snapped to the fabricator series, performance recomputed at that size)
+  const roundSeries = standardSeries(units, 'round');
+  const rectSeries = standardSeries(units, 'rect');
+  const stdRound = calcRoundPerformance(airflowIP, snapToStandard(resultDia, roundSeries), frictionOpts);
+  const stdRectSide = snapToStandard(rectSideIP, rectSeries);
+  const stdRect = calcRectPerformance(airflowIP, snapToStandard(solveRectDimension(resultDia, stdRectSide), rectSeries), stdRectSide, frictionOpts);
+  const rectTarget = mode === 'friction'
+    ? { kind: 'friction', value: frictionIP }
+    : mode === 'velocity'
+      ? { kind: 'velocity', value: velocityIP }
+      : { kind: 'diameter', value: resultDia };
+  const rectAlternatives = rankRectAlternatives(airflowIP, rectTarget, rectSeries, frictionOpts, { tolerance: rectTolerance / 100 });
+  // Sheet Metal Takeoff (built at the standard size)
+  const builtDuct = { shape: builtShape, dia: stdRound.dia, width: stdRect.width, height: stdRect.height };
+  const takeoff = calcMaterialTakeoff(
+    builtDuct,
+    runLengthFt,
+    pressureClass,
+    insulationIn
+  );
+  // Duct Heat Gain / Loss
+  const heat = calcDuctHeatTransfer(builtDuct, airflowIP, runLengthFt, supplyTempF, ambientTempF, ductRValue, air);
+  const isDriftWarning = Math.abs(heat.deltaT) > tempDriftLimitF;
+  const showTemp = (f) => formatNumber(units === 'IP' ? f : fToC(f), 1);
+  const showTempDelta = (df) => formatNumber(units === 'IP' ? df : (df * 5) / 9, 1);
+
+  // Leakage Test
+  const builtPerimeter = builtShape === 'round' ? Math.PI * stdRound.dia : 2 * (stdRect.width + stdRect.height);
+  const leakTest = evaluateLeakTest(leakReadings, { leakageClass, testPressure, perimeterIn: builtPerimeter });
+  const showLeakage = (cfm) => (units === 'IP' ? cfm : cfm / L_S_TO_CFM);
+
+  const showArea = (sqft) => formatNumber(units === 'IP' ? sqft : sqft / M2_TO_SQFT, 1);
+  const showSize = (inches) => formatNumber(units === 'IP' ? inches : inches / MM_TO_IN, 0);
+  const showVelocityValue = (fpm) => (units === 'IP' ? fpm : fpm / M_S_TO_FPM);
+  const showFrictionValue = (rate) => (units === 'IP' ? rate : rate / PA_M_TO_IN_100FT);
+  const showVelocity = (fpm) => formatNumber(showVelocityValue(fpm), units === 'IP' ? 0 : 1);
+  const showFriction = (rate) => formatNumber(showFrictionValue(rate), 2);
+
+  // Flat Oval
+  const oval = calcFlatOvalGeometry(resultOvalMajor, ovalMinorIP);
+  const ovalAspect = ovalMinorIP > 0 ? resultOvalMajor / ovalMinorIP : 0;
+  const isOvalWarning = resultOvalMajor > 0 && (ovalAspect < FLAT_OVAL_ASPECT_LIMITS.min || ovalAspect > FLAT_OVAL_ASPECT_LIMITS.max);
+  const showOvalMajor = units === 'IP' ? resultOvalMajor : resultOvalMajor / MM_TO_IN;
+  const showOvalPerimeter = units === 'IP' ? oval.perimeter : oval.perimeter / MM_TO_IN;
+  const showOvalArea = units === 'IP' ? oval.area / 144 : oval.area / 144 / M2_TO_SQFT;
 
   return (
     <div className="min-h-screen bg-slate-900 text-slate-100 font-sans pb-20">
@@ -240,12 +941,22 @@ export default function App() {
             <h1 className="font-bold text-lg">DuctMaster Pro</h1>
           </div>
           
-          <button 
-            onClick={() => setUnits(units === 'IP' ? 'SI' : 'IP')}
-            className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded-full text-xs font-bold border border-slate-600 transition-colors"
-          >
-            {units === 'IP' ? 'IP' : 'SI'}
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={copyShareLink}
+              title="Copy a link to this calculation"
+              className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded-full text-xs font-bold border border-slate-600 transition-colors flex items-center gap-1"
+            >
+              {linkCopied ? <CheckCircle2 size={12} className="text-emerald-400" /> : <Link size={12} />}
+              {linkCopied ? 'Copied' : 'Copy link'}
+            </button>
+            <button 
+              onClick={() => setUnits(units === 'IP' ? 'SI' : 'IP')}
+              className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded-full text-xs font-bold border border-slate-600 transition-colors"
+            >
+              {units === 'IP' ? 'IP' : 'SI'}
+            </button>
+          </div>
         </div>
       </header>
 
@@ -285,6 +996,99 @@ export default function App() {
             </div>
           </div>
 
+          {/* Duct Material & Friction Method */}
+          <div className="grid grid-cols-2 gap-3 mb-6">
+            <div>
+              <label className="text-xs text-slate-500 mb-1 block">Duct Material</label>
+              <select
+                value={materialId}
+                onChange={(e) => setMaterialId(e.target.value)}
+                disabled={frictionMethod === 'chart'}
+                className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white disabled:opacity-50"
+              >
+                {DUCT_MATERIALS.map((m) => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 mb-1 block">Friction Method</label>
+              <div className="bg-slate-900 p-1 rounded flex border border-slate-600">
+                <button
+                  onClick={() => setFrictionMethod('darcy')}
+                  className={`flex-1 py-1 text-[10px] font-bold rounded transition-all ${frictionMethod === 'darcy' ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                >
+                  Darcy
+                </button>
+                <button
+                  onClick={() => setFrictionMethod('chart')}
+                  className={`flex-1 py-1 text-[10px] font-bold rounded transition-all ${frictionMethod === 'chart' ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                >
+                  Quick chart
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Application Profile */}
+          <div className="mb-6">
+            <label className="text-xs text-slate-500 mb-1 block">Application</label>
+            <select
+              value={profileId}
+              onChange={(e) => setProfileId(e.target.value)}
+              className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white"
+            >
+              {APPLICATION_PROFILES.map((p) => (
+                <option key={p.id} value={p.id}>{p.label} (NC {p.nc})</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Air Conditions */}
+          <div className="mb-6">
+            <div className="flex justify-between mb-2">
+              <label className="text-sm text-slate-400">Air Conditions</label>
+              <span className={`font-mono text-xs font-bold ${Math.abs(densityRatio - 1) > 0.05 ? 'text-orange-400' : 'text-slate-400'}`}>
+                ρ {formatNumber(showDensity, 3)} {units === 'IP' ? 'lb/ft³' : 'kg/m³'} · ×{formatNumber(densityRatio, 3)}
+              </span>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label className="text-xs text-slate-500 mb-1 block">Elevation ({units === 'IP' ? 'ft' : 'm'})</label>
+                <input
+                  type="number"
+                  min={Math.round(units === 'IP' ? AIR_CONDITION_RANGES.elevationFt[0] : AIR_CONDITION_RANGES.elevationFt[0] / M_TO_FT)}
+                  max={Math.round(units === 'IP' ? AIR_CONDITION_RANGES.elevationFt[1] : AIR_CONDITION_RANGES.elevationFt[1] / M_TO_FT)}
+                  value={formatNumber(displayElevation, 0)}
+                  onChange={(e) => handleElevationChange(e.target.value)}
+                  className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-500 mb-1 block">Dry Bulb ({units === 'IP' ? '°F' : '°C'})</label>
+                <input
+                  type="number"
+                  min={Math.round(units === 'IP' ? AIR_CONDITION_RANGES.tempF[0] : fToC(AIR_CONDITION_RANGES.tempF[0]))}
+                  max={Math.round(units === 'IP' ? AIR_CONDITION_RANGES.tempF[1] : fToC(AIR_CONDITION_RANGES.tempF[1]))}
+                  value={formatNumber(displayAirTemp, 0)}
+                  onChange={(e) => handleAirTempChange(e.target.value)}
+                  className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-500 mb-1 block">RH (%)</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={formatNumber(humidity, 0)}
+                  onChange={(e) => setHumidity(Math.min(100, Math.max(0, Number(e.target.value))))}
+                  className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                />
+              </div>
+            </div>
+          </div>
+
           {/* Mode Tabs */}
           <div className="bg-slate-900 p-1 rounded-lg flex mb-4">
             <button 
@@ -299,13 +1103,120 @@ export default function App() {
             >
               Velocity
             </button>
+            <button 
+              onClick={() => setMode('regain')}
+              className={`flex-1 py-2 text-xs font-bold rounded-md transition-all ${mode === 'regain' ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+            >
+              Regain
+            </button>
+            <button 
+              onClick={() => setMode('check')}
+              className={`flex-1 py-2 text-xs font-bold rounded-md transition-all ${mode === 'check' ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+            >
+              Check
+            </button>
           </div>
 
+          {/* Existing Duct Inputs */}
+          {mode === 'check' && (
+            <div className="animate-in fade-in zoom-in-95 duration-300 mb-4 space-y-3">
+              <div className="flex gap-2">
+                <div className="bg-slate-900 p-1 rounded flex border border-slate-600 flex-1">
+                  {['round', 'rect'].map((shape) => (
+                    <button
+                      key={shape}
+                      onClick={() => setExistingShape(shape)}
+                      className={`flex-1 py-1 text-[10px] font-bold rounded transition-all ${existingShape === shape ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                    >
+                      {shape === 'round' ? 'Round' : 'Rectangular'}
+                    </button>
+                  ))}
+                </div>
+                <div className="bg-slate-900 p-1 rounded flex border border-slate-600 flex-1">
+                  {['friction', 'velocity'].map((kind) => (
+                    <button
+                      key={kind}
+                      onClick={() => setCheckLimit(kind)}
+                      className={`flex-1 py-1 text-[10px] font-bold rounded transition-all ${checkLimit === kind ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                    >
+                      {kind === 'friction' ? 'Friction Limit' : 'Velocity Limit'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {existingShape === 'round' ? (
+                <div>
+                  <label className="text-xs text-slate-500 mb-1 block">Installed Diameter ({units === 'IP' ? 'in' : 'mm'})</label>
+                  <input
+                    type="number"
+                    value={formatNumber(units === 'IP' ? existingDiaIP : existingDiaIP / MM_TO_IN, 0)}
+                    onChange={(e) => handleExistingSizeChange(setExistingDiaIP, e.target.value)}
+                    className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                  />
+                </div>
+              ) : (
+                <div className="flex items-end gap-3">
+                  <div className="flex-1">
+                    <label className="text-xs text-slate-500 mb-1 block">Width ({units === 'IP' ? 'in' : 'mm'})</label>
+                    <input
+                      type="number"
+                      value={formatNumber(units === 'IP' ? existingWidthIP : existingWidthIP / MM_TO_IN, 0)}
+                      onChange={(e) => handleExistingSizeChange(setExistingWidthIP, e.target.value)}
+                      className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                    />
+                  </div>
+                  <div className="pb-2 text-slate-600">x</div>
+                  <div className="flex-1">
+                    <label className="text-xs text-slate-500 mb-1 block">Height ({units === 'IP' ? 'in' : 'mm'})</label>
+                    <input
+                      type="number"
+                      value={formatNumber(units === 'IP' ? existingHeightIP : existingHeightIP / MM_TO_IN, 0)}
+                      onChange={(e) => handleExistingSizeChange(setExistingHeightIP, e.target.value)}
+                      className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Dynamic Slider */}
-          {mode === 'friction' ? (
+          {mode === 'regain' ? (
+            <div className="animate-in fade-in zoom-in-95 duration-300">
+               <div className="flex justify-between mb-2">
+                <label className="text-sm text-slate-400">Upstream Velocity</label>
+                <span className="text-sky-400 font-mono font-bold">
+                  {formatNumber(displayUpstreamVelocity, 0)} {units === 'IP' ? 'FPM' : 'm/s'}
+                </span>
+              </div>
+              <input 
+                type="range"
+                min={units === 'IP' ? 500 : 2.5}
+                max={units === 'IP' ? 4500 : 23.0}
+                step={units === 'IP' ? 50 : 0.5}
+                value={displayUpstreamVelocity}
+                onChange={(e) => handleUpstreamVelocityChange(e.target.value)}
+                className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"
+              />
+              <div className="flex items-center justify-between mt-3">
+                <label className="text-xs text-slate-500">Regain Coefficient (R)</label>
+                <input
+                  type="number"
+                  min={REGAIN_COEF_RANGE[0]}
+                  max={REGAIN_COEF_RANGE[1]}
+                  step={0.05}
+                  value={regainCoef}
+                  onChange={(e) => setRegainCoef(e.target.value === '' ? '' : Number(e.target.value))}
+                  onBlur={() => setRegainCoef(Math.min(REGAIN_COEF_RANGE[1], Math.max(REGAIN_COEF_RANGE[0], Number(regainCoef) || 0)))}
+                  className="w-20 bg-slate-900 border border-slate-600 rounded p-1 text-center text-white"
+                />
+              </div>
+              <p className="text-[10px] text-slate-500 mt-2">Section length and fittings are taken from Fittings & Pressure Drop.</p>
+            </div>
+          ) : (mode === 'check' ? checkLimit === 'friction' : mode === 'friction') ? (
             <div className="animate-in fade-in zoom-in-95 duration-300">
                <div className="flex justify-between mb-2">
-                <label className="text-sm text-slate-400">Target Friction</label>
+                <label className="text-sm text-slate-400">{mode === 'check' ? 'Friction Limit' : 'Target Friction'}</label>
                 <span className="text-emerald-400 font-mono font-bold">
                   {formatNumber(displayFriction, 2)} {units === 'IP' ? 'in.wg' : 'Pa/m'}
                 </span>
@@ -323,7 +1234,7 @@ export default function App() {
           ) : (
             <div className="animate-in fade-in zoom-in-95 duration-300">
                <div className="flex justify-between mb-2">
-                <label className="text-sm text-slate-400">Target Velocity</label>
+                <label className="text-sm text-slate-400">{mode === 'check' ? 'Velocity Limit' : 'Target Velocity'}</label>
                 <span className="text-orange-400 font-mono font-bold">
                   {formatNumber(displayVelocity, 0)} {units === 'IP' ? 'FPM' : 'm/s'}
                 </span>
@@ -354,24 +1265,24 @@ export default function App() {
                     <span className="text-sm font-medium opacity-80">{units === 'IP' ? '"' : 'mm'}</span>
                 </div>
                 <div className="mt-2 text-xs bg-black/20 rounded px-2 py-1 inline-block">
-                    Ø {Math.ceil(showDia)} {units === 'IP' ? '"' : 'mm'}
+                    Std Ø {showSize(stdRound.dia)} {units === 'IP' ? '"' : 'mm'}
                 </div>
             </div>
 
             <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700 shadow-lg flex flex-col justify-center">
                 <span className="text-xs text-slate-400 uppercase font-bold mb-1">
-                    {mode === 'friction' ? 'Velocity' : 'Friction'}
+                    {mode !== 'velocity' ? 'Velocity' : 'Friction'}
                 </span>
-                {mode === 'friction' ? (
+                {mode !== 'velocity' ? (
                     <div>
-                        <div className={`text-2xl font-bold ${showVel > (units==='IP'?1500:7.6) ? 'text-orange-400' : 'text-white'}`}>
+                        <div className={`text-2xl font-bold ${velocityStatus === 'high' ? 'text-orange-400' : 'text-white'}`}>
                             {formatNumber(showVel, 1)}
                         </div>
                         <span className="text-xs text-slate-500">{units === 'IP' ? 'FPM' : 'm/s'}</span>
                     </div>
                 ) : (
                     <div>
-                        <div className="text-2xl font-bold text-emerald-400">
+                        <div className={`text-2xl font-bold ${frictionStatus === 'high' ? 'text-orange-400' : 'text-emerald-400'}`}>
                             {formatNumber(showFric, 2)}
                         </div>
                         <span className="text-xs text-slate-500">{units === 'IP' ? 'in.wg' : 'Pa/m'}</span>
@@ -380,6 +1291,187 @@ export default function App() {
             </div>
         </div>
 
+        <div className="bg-slate-800/60 rounded-xl px-4 py-2 border border-slate-700 flex justify-between items-center text-xs">
+          <span className="text-slate-500">Std Ø {showSize(stdRound.dia)} {units === 'IP' ? '"' : 'mm'} actual</span>
+          <span className="font-mono text-slate-300">
+            {showVelocity(stdRound.velocity)} {units === 'IP' ? 'FPM' : 'm/s'} · {showFriction(stdRound.friction)} {units === 'IP' ? 'in.wg' : 'Pa/m'}
+          </span>
+        </div>
+
+        <div className="bg-slate-800/60 rounded-xl px-4 py-2 border border-slate-700 flex justify-between items-center text-xs">
+          <span className="text-slate-500">Velocity Pressure</span>
+          <span className="font-mono text-slate-300">
+            {formatNumber(showVp, units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}
+          </span>
+        </div>
+
+        {mode === 'check' && (
+          <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700 shadow-lg animate-in fade-in">
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono">
+              <span className="text-slate-500">Velocity</span>
+              <span className="text-right text-slate-200">{showVelocity(existingCheck.velocity)} {units === 'IP' ? 'FPM' : 'm/s'}</span>
+              <span className="text-slate-500">Friction Rate</span>
+              <span className="text-right text-slate-200">{showFriction(existingCheck.friction)} {units === 'IP' ? 'in.wg' : 'Pa/m'}</span>
+              <span className="text-slate-500">Equivalent Ø</span>
+              <span className="text-right text-slate-200">{formatNumber(units === 'IP' ? existingCheck.de : existingCheck.de / MM_TO_IN, units === 'IP' ? 1 : 0)} {units === 'IP' ? '"' : 'mm'}</span>
+              <span className="text-slate-500">Velocity Pressure</span>
+              <span className="text-right text-slate-200">{formatNumber(showLoss(existingCheck.velocityPressure), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+            </div>
+            <div className="mt-3 pt-3 border-t border-slate-700 flex justify-between items-baseline">
+              <span className="text-xs text-slate-400 uppercase font-bold">Max Air Flow @ {checkLimit === 'friction' ? 'Friction' : 'Velocity'} Limit</span>
+              <span className={`text-lg font-bold font-mono ${maxAirflow < airflowIP ? 'text-red-400' : 'text-emerald-400'}`}>
+                {formatNumber(showMaxAirflow, 0)} {units === 'IP' ? 'CFM' : 'CMH'}
+              </span>
+            </div>
+          </div>
+        )}
+
+        {mode === 'regain' && (
+          <div className="bg-slate-800/60 rounded-xl px-4 py-2 border border-slate-700 flex justify-between items-center text-xs">
+            <span className="text-slate-500">Regain vs Section Loss</span>
+            <span className="font-mono text-slate-300">
+              {formatNumber(showLoss(regainBalance.regain), units === 'IP' ? 3 : 1)} / {formatNumber(showLoss(regainBalance.loss), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'} · {formatNumber(showFric, 2)} {units === 'IP' ? 'in.wg' : 'Pa/m'}
+            </span>
+          </div>
+        )}
+
+        {frictionMethod === 'darcy' && (
+          <div className="bg-slate-800/60 rounded-xl px-4 py-2 border border-slate-700 flex justify-between items-center text-xs">
+            <span className="text-slate-500">Quick chart (galv.) comparison</span>
+            <span className="font-mono text-slate-300">
+              {mode === 'friction'
+                ? `Ø ${formatNumber(showChartDia, units === 'IP' ? 1 : 0)} ${units === 'IP' ? '"' : 'mm'}`
+                : `${formatNumber(showChartFric, 2)} ${units === 'IP' ? 'in.wg' : 'Pa/m'}`}
+            </span>
+          </div>
+        )}
+
+        {/* FRICTION CHART */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-blue-400">
+                    <LineChart size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Friction Chart</h2>
+                </div>
+                <span className="text-[10px] text-slate-500">{material.label}</span>
+            </div>
+
+            <svg
+                viewBox={`0 0 ${chartPlot.width} ${chartPlot.height}`}
+                className="w-full bg-slate-900 rounded-lg border border-slate-700 mb-3 cursor-crosshair select-none"
+                style={{ touchAction: 'none' }}
+                onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); setFromChart(e); }}
+                onPointerMove={(e) => { if (e.buttons & 1) setFromChart(e); }}
+            >
+                {chart.ticks.friction.map((t) => (
+                    <g key={`f${t.label}`}>
+                        <line x1={chartX(t.value)} y1={chartPlot.top} x2={chartX(t.value)} y2={chartPlot.height - chartPlot.bottom} stroke="#1e293b" strokeWidth="1" />
+                        <text x={chartX(t.value)} y={chartPlot.height - chartPlot.bottom + 10} textAnchor="middle" fontSize="7" fill="#64748b">{t.label}</text>
+                    </g>
+                ))}
+                {chart.ticks.airflow.map((t) => (
+                    <g key={`q${t.label}`}>
+                        <line x1={chartPlot.left} y1={chartY(t.value)} x2={chartPlot.width - chartPlot.right} y2={chartY(t.value)} stroke="#1e293b" strokeWidth="1" />
+                        <text x={chartPlot.left - 3} y={chartY(t.value) + 2} textAnchor="end" fontSize="7" fill="#64748b">{t.label}</text>
+                    </g>
+                ))}
+                <text x={chartPlot.width - chartPlot.right} y={chartPlot.height - 4} textAnchor="end" fontSize="7" fill="#64748b">{units === 'IP' ? 'in.wg/100ft' : 'Pa/m'} →</text>
+                <text x={3} y={chartPlot.top + 6} fontSize="7" fill="#64748b">{units === 'IP' ? 'CFM' : 'CMH'}</text>
+
+                {chart.velocities.map((line) => line.points.length > 1 && (
+                    <g key={line.label}>
+                        <path d={chartPath(line.points)} fill="none" stroke="#f59e0b" strokeOpacity="0.5" strokeWidth="0.75" strokeDasharray="3 2" />
+                        <text x={chartX(line.points[0].friction) - 2} y={chartY(line.points[0].cfm) - 2} textAnchor="end" fontSize="6" fill="#f59e0b" fillOpacity="0.8">{line.label}</text>
+                    </g>
+                ))}
+                {chart.diameters.map((line) => line.points.length > 1 && (
+                    <g key={line.label}>
+                        <path d={chartPath(line.points)} fill="none" stroke="#64748b" strokeWidth="0.75" />
+                        <text x={chartX(line.points[line.points.length - 1].friction) - 2} y={chartY(line.points[line.points.length - 1].cfm) + 8} textAnchor="end" fontSize="6" fill="#94a3b8">{line.label}</text>
+                    </g>
+                ))}
+
+                {chartInRange(resultFriction, airflowIP) && (
+                    <g>
+                        <line x1={chartX(resultFriction)} y1={chartPlot.top} x2={chartX(resultFriction)} y2={chartPlot.height - chartPlot.bottom} stroke="#3b82f6" strokeOpacity="0.4" strokeWidth="1" />
+                        <line x1={chartPlot.left} y1={chartY(airflowIP)} x2={chartPlot.width - chartPlot.right} y2={chartY(airflowIP)} stroke="#3b82f6" strokeOpacity="0.4" strokeWidth="1" />
+                        <circle cx={chartX(resultFriction)} cy={chartY(airflowIP)} r="4" fill="#3b82f6" stroke="#f8fafc" strokeWidth="1.5" />
+                    </g>
+                )}
+            </svg>
+
+            <div className="flex gap-3 text-[10px] text-slate-500 mb-2">
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-slate-500 inline-block"></span>Diameter ({units === 'IP' ? 'in' : 'mm'})</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-amber-500 inline-block"></span>Velocity</span>
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-blue-500 inline-block"></span>Design</span>
+            </div>
+            <div className="text-[10px] text-slate-500">
+                Click or drag to set airflow and friction{mode !== 'friction' && ' (switches to Friction mode)'}.
+            </div>
+        </div>
+
+        {/* APPLICATION & NOISE */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-rose-400">
+                    <Volume2 size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">{profile.label}</h2>
+                </div>
+                {isNoiseWarning || velocityStatus === 'high' ? (
+                    <span className="text-xs font-bold text-orange-400 flex items-center gap-1">
+                        <AlertTriangle size={14} /> Review
+                    </span>
+                ) : (
+                    <span className="text-xs font-bold text-emerald-400 flex items-center gap-1">
+                        <CheckCircle2 size={14} /> Within Profile
+                    </span>
+                )}
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 text-xs mb-4">
+                <div className="bg-slate-900 rounded-lg border border-slate-700 p-2">
+                    <div className="text-slate-500 text-[10px] uppercase">Velocity</div>
+                    <div className={`font-bold font-mono ${statusColor(velocityStatus)}`}>{showVelocity(resultVelocity)}</div>
+                    <div className="text-[10px] text-slate-500">{showRange(profile.velocity, showVelocityValue, units === 'IP' ? 0 : 1)} {units === 'IP' ? 'FPM' : 'm/s'}</div>
+                </div>
+                <div className="bg-slate-900 rounded-lg border border-slate-700 p-2">
+                    <div className="text-slate-500 text-[10px] uppercase">Friction</div>
+                    <div className={`font-bold font-mono ${statusColor(frictionStatus)}`}>{showFriction(resultFriction)}</div>
+                    <div className="text-[10px] text-slate-500">{showRange(profile.friction, showFrictionValue, 2)} {units === 'IP' ? 'in.wg' : 'Pa/m'}</div>
+                </div>
+                <div className="bg-slate-900 rounded-lg border border-slate-700 p-2">
+                    <div className="text-slate-500 text-[10px] uppercase">Est. NC</div>
+                    <div className={`font-bold font-mono ${isNoiseWarning ? 'text-orange-400' : 'text-emerald-400'}`}>{formatNumber(estimatedNC, 0)}</div>
+                    <div className="text-[10px] text-slate-500">target NC {profile.nc}</div>
+                </div>
+            </div>
+
+            {noise.bands.length > 0 && (
+                <div>
+                    <div className="flex items-end gap-1 h-16">
+                        {noise.bands.map((band) => (
+                            <div key={band.hz} className="flex-1 flex flex-col items-center justify-end h-full">
+                                <div
+                                    className="w-full bg-rose-500/40 border-t border-rose-400 rounded-t"
+                                    style={{ height: Math.min(100, Math.max(2, band.lw)) + '%' }}
+                                    title={`${formatNumber(band.lw, 0)} dB`}
+                                ></div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex gap-1 mt-1">
+                        {noise.bands.map((band) => (
+                            <div key={band.hz} className="flex-1 text-center text-[9px] font-mono text-slate-500">
+                                {band.hz >= 1000 ? `${band.hz / 1000}k` : band.hz}
+                                <div className="text-slate-400">{formatNumber(band.lw, 0)}</div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="text-[10px] text-slate-500 mt-2">Regenerated duct sound power (dB re 1 pW), {formatNumber(noise.overall, 0)} dB overall</div>
+                </div>
+            )}
+        </div>
+
         {/* RECTANGULAR SIZER */}
         <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
              <div className="flex items-center gap-2 mb-4 text-purple-400">
@@ -435,19 +1527,762 @@ export default function App() {
                      )}
                   </div>
                 </div>
+
+                {/* Standard Size & Ranked Alternatives */}
+                <div className="bg-slate-900 rounded-lg border border-slate-700 px-3 py-2 flex justify-between items-center text-xs">
+                    <span className="text-purple-300 font-bold">Std {showSize(stdRect.width)} x {showSize(stdRect.height)}</span>
+                    <span className="font-mono text-slate-400">
+                        {showVelocity(stdRect.velocity)} {units === 'IP' ? 'FPM' : 'm/s'} · {showFriction(stdRect.friction)} {units === 'IP' ? 'in.wg' : 'Pa/m'}
+                    </span>
+                </div>
+
+                <div>
+                    <div className="flex items-center justify-between mb-2">
+                        <span className="text-xs text-slate-400 uppercase font-bold">Standard Alternatives</span>
+                        <label className="text-[10px] text-slate-500 flex items-center gap-1">
+                            ±
+                            <input
+                                type="number"
+                                min={1}
+                                max={50}
+                                value={rectTolerance}
+                                onChange={(e) => setRectTolerance(Math.min(50, Math.max(1, Number(e.target.value))))}
+                                className="w-10 bg-slate-900 border border-slate-600 rounded p-1 text-center text-white"
+                            />
+                            % {rectTarget.kind}
+                        </label>
+                    </div>
+                    {rectAlternatives.length === 0 ? (
+                        <div className="text-xs text-slate-500 text-center py-2">No standard size within tolerance</div>
+                    ) : (
+                        <div className="max-h-48 overflow-y-auto space-y-1">
+                            {rectAlternatives.map((alt) => (
+                                <button
+                                    key={`${alt.width}x${alt.height}`}
+                                    onClick={() => setRectSideIP(alt.height)}
+                                    className="w-full flex justify-between items-center bg-slate-900 hover:bg-slate-700 border border-slate-700 rounded px-3 py-1 text-[11px] font-mono"
+                                >
+                                    <span className="text-white font-bold">{showSize(alt.width)} x {showSize(alt.height)}</span>
+                                    <span className="text-slate-500">1:{formatNumber(alt.aspect, 1)}</span>
+                                    <span className="text-slate-400">{showVelocity(alt.velocity)} · {showFriction(alt.friction)}</span>
+                                    <span className={alt.deviation > 0 ? 'text-orange-400' : 'text-emerald-400'}>
+                                        {alt.deviation > 0 ? '+' : ''}{formatNumber(alt.deviation * 100, 1)}%
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+
+        {/* FLAT OVAL SIZER */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+             <div className="flex items-center gap-2 mb-4 text-teal-400">
+                <Circle size={18} />
+                <h2 className="text-sm font-bold uppercase tracking-wider">Flat Oval Sizer</h2>
+            </div>
+
+            <div className="flex flex-col gap-4">
+                <div className="flex items-end gap-3">
+                    <div className="flex-1">
+                        <label className="text-xs text-slate-500 mb-1 block">Minor Axis ({units === 'IP' ? 'in' : 'mm'})</label>
+                        <input 
+                            type="number" 
+                            value={formatNumber(displayOvalMinor, 0)}
+                            onChange={(e) => handleOvalMinorChange(e.target.value)}
+                            className="w-full bg-slate-900 border border-slate-600 rounded-lg p-3 text-white focus:border-teal-500 outline-none"
+                        />
+                    </div>
+                    <div className="pb-4 text-slate-600">x</div>
+                    <div className="flex-1">
+                        <label className="text-xs text-teal-400 mb-1 block">Major Axis ({units === 'IP' ? 'in' : 'mm'})</label>
+                        <div className="w-full bg-teal-900/20 border border-teal-500/30 rounded-lg p-3 text-teal-300 font-bold">
+                            {formatNumber(showOvalMajor, units === 'IP' ? 1 : 0)}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 text-xs font-mono">
+                    <div className="bg-slate-900 rounded-lg border border-slate-700 px-3 py-2 flex justify-between">
+                        <span className="text-slate-500">Perimeter</span>
+                        <span className="text-slate-300">{formatNumber(showOvalPerimeter, units === 'IP' ? 1 : 0)} {units === 'IP' ? 'in' : 'mm'}</span>
+                    </div>
+                    <div className="bg-slate-900 rounded-lg border border-slate-700 px-3 py-2 flex justify-between">
+                        <span className="text-slate-500">Area</span>
+                        <span className="text-slate-300">{formatNumber(showOvalArea, units === 'IP' ? 2 : 3)} {units === 'IP' ? 'ft²' : 'm²'}</span>
+                    </div>
+                </div>
+
+                <div className="flex items-center justify-between px-1">
+                   <span className="text-xs text-slate-500">
+                     Aspect 1 : {formatNumber(ovalAspect, 2)} (spiral {FLAT_OVAL_ASPECT_LIMITS.min}–{FLAT_OVAL_ASPECT_LIMITS.max})
+                   </span>
+                   {isOvalWarning ? (
+                     <span className="text-xs font-bold text-red-400 flex items-center gap-1 animate-pulse">
+                       <AlertTriangle size={14} /> {ovalAspect < FLAT_OVAL_ASPECT_LIMITS.min ? 'Use Round' : 'Not Rollable'}
+                     </span>
+                   ) : (
+                     <span className="text-xs font-bold text-emerald-400 flex items-center gap-1">
+                       <CheckCircle2 size={14} /> Spiral OK
+                     </span>
+                   )}
+                </div>
+            </div>
+        </div>
+
+        {/* FITTINGS & RUN PRESSURE DROP */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center gap-2 mb-4 text-amber-400">
+                <Wrench size={18} />
+                <h2 className="text-sm font-bold uppercase tracking-wider">Fittings & Pressure Drop</h2>
+            </div>
+
+            <div className="flex items-end gap-3 mb-4">
+                <div className="w-24">
+                    <label className="text-xs text-slate-500 mb-1 block">Length ({units === 'IP' ? 'ft' : 'm'})</label>
+                    <input
+                        type="number"
+                        value={formatNumber(units === 'IP' ? runLengthFt : runLengthFt / M_TO_FT, 0)}
+                        onChange={(e) => handleRunLengthChange(e.target.value)}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-white"
+                    />
+                </div>
+                <div className="flex-1">
+                    <label className="text-xs text-slate-500 mb-1 block">Add Fitting</label>
+                    <div className="flex gap-2">
+                        <select
+                            value={newFittingId}
+                            onChange={(e) => setNewFittingId(e.target.value)}
+                            className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white"
+                        >
+                            {FITTINGS.map((f) => (
+                                <option key={f.id} value={f.id}>{f.label}</option>
+                            ))}
+                        </select>
+                        <button onClick={addFitting} className="bg-amber-600/30 border border-amber-500/50 rounded px-2 text-amber-300 hover:bg-amber-600/50">
+                            <Plus size={16} />
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {fittingsLoss.items.length > 0 && (
+                <div className="space-y-2 mb-4">
+                    {fittingsLoss.items.map((item) => (
+                        <div key={item.uid} className="bg-slate-900 rounded-lg border border-slate-700 p-2">
+                            <div className="flex items-center justify-between mb-1">
+                                <span className="text-xs font-bold text-white">{item.fitting.label}</span>
+                                <div className="flex items-center gap-2">
+                                    <span className="text-[10px] text-slate-500">{item.fitting.ref}</span>
+                                    <button onClick={() => removeFitting(item.uid)} className="text-slate-500 hover:text-red-400">
+                                        <Trash2 size={12} />
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="flex flex-wrap items-center gap-2">
+                                <label className="text-[10px] text-slate-500 flex items-center gap-1">
+                                    Qty
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        value={item.qty}
+                                        onChange={(e) => updateFitting(item.uid, { qty: Math.max(1, Number(e.target.value)) })}
+                                        className="w-10 bg-slate-800 border border-slate-600 rounded p-1 text-center text-white"
+                                    />
+                                </label>
+                                {item.fitting.params.map((p) => (
+                                    <label key={p.key} className="text-[10px] text-slate-500 flex items-center gap-1">
+                                        {p.label}
+                                        {p.options ? (
+                                            <select
+                                                value={item.params[p.key]}
+                                                onChange={(e) => updateFitting(item.uid, { params: { ...item.params, [p.key]: e.target.value } })}
+                                                className="bg-slate-800 border border-slate-600 rounded p-1 text-white"
+                                            >
+                                                {p.options.map((o) => (
+                                                    <option key={o.value} value={o.value}>{o.label}</option>
+                                                ))}
+                                            </select>
+                                        ) : (
+                                            <input
+                                                type="number"
+                                                min={p.min}
+                                                max={p.max}
+                                                step={p.step}
+                                                value={item.params[p.key]}
+                                                onChange={(e) => updateFitting(item.uid, { params: { ...item.params, [p.key]: e.target.value === '' ? '' : Number(e.target.value) } })}
+                                                onBlur={() => updateFitting(item.uid, { params: { ...item.params, [p.key]: clampFittingParam(p, item.params[p.key]) } })}
+                                                className="w-14 bg-slate-800 border border-slate-600 rounded p-1 text-center text-white"
+                                            />
+                                        )}
+                                    </label>
+                                ))}
+                                <span className="ml-auto text-[10px] font-mono text-amber-300">
+                                    C {formatNumber(item.c, 2)} · {formatNumber(showLoss(item.loss), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}
+                                </span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="space-y-1 text-xs font-mono">
+                <div className="flex justify-between text-slate-400">
+                    <span>Straight duct</span>
+                    <span>{formatNumber(showLoss(straightLoss), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+                </div>
+                <div className="flex justify-between text-slate-400">
+                    <span>Fittings (Σ C × VP)</span>
+                    <span>{formatNumber(showLoss(fittingsLoss.total), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+                </div>
+                <div className="flex justify-between text-amber-300 font-bold text-sm pt-1 border-t border-slate-700">
+                    <span>Total Run Δp</span>
+                    <span>{formatNumber(showLoss(runLoss), units === 'IP' ? 3 : 1)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+                </div>
+            </div>
+        </div>
+
+        {/* SHEET METAL TAKEOFF */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-zinc-300">
+                    <Layers size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Sheet Metal Takeoff</h2>
+                </div>
+                <div className="bg-slate-900 p-1 rounded flex border border-slate-600">
+                    {['round', 'rect'].map((shape) => (
+                        <button
+                            key={shape}
+                            onClick={() => selectBuiltShape(shape)}
+                            className={`px-2 py-1 text-[10px] font-bold rounded transition-all ${builtShape === shape ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                        >
+                            {shape === 'round' ? 'Round' : 'Rect'}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Pressure Class</label>
+                    <select
+                        value={pressureClass}
+                        onChange={(e) => setPressureClass(Number(e.target.value))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white"
+                    >
+                        {PRESSURE_CLASSES.map((pc) => (
+                            <option key={pc.value} value={pc.value}>{pressureClassLabel(pc, units)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Length ({units === 'IP' ? 'ft' : 'm'})</label>
+                    <input
+                        type="number"
+                        value={formatNumber(units === 'IP' ? runLengthFt : runLengthFt / M_TO_FT, 0)}
+                        onChange={(e) => handleRunLengthChange(e.target.value)}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Insulation ({units === 'IP' ? 'in' : 'mm'})</label>
+                    <input
+                        type="number"
+                        step={units === 'IP' ? 0.5 : 10}
+                        value={formatNumber(units === 'IP' ? insulationIn : insulationIn / MM_TO_IN, units === 'IP' ? 1 : 0)}
+                        onChange={(e) => setInsulationIn(Math.max(0, units === 'IP' ? Number(e.target.value) : Number(e.target.value) * MM_TO_IN))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+            </div>
+
+            <div className="text-[10px] text-slate-500 mb-2">
+                Built size: {builtShape === 'round'
+                    ? `Ø ${showSize(stdRound.dia)}`
+                    : `${showSize(stdRect.width)} x ${showSize(stdRect.height)}`} {units === 'IP' ? 'in' : 'mm'}
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono">
+                <span className="text-slate-500">Gauge</span>
+                <span className="text-right text-white font-bold">{takeoff.gauge} ga ({formatNumber(units === 'IP' ? takeoff.thickness : takeoff.thickness / MM_TO_IN, units === 'IP' ? 4 : 2)} {units === 'IP' ? 'in' : 'mm'})</span>
+                <span className="text-slate-500">Reinforcement</span>
+                <span className="text-right text-slate-200">{takeoff.reinforcement === 'None' ? 'Not required' : `Class ${takeoff.reinforcement} @ ${units === 'IP' ? '5 ft' : '1.5 m'}`}</span>
+                <span className="text-slate-500">Surface Area</span>
+                <span className="text-right text-slate-200">{showArea(takeoff.surfaceArea)} {units === 'IP' ? 'ft²' : 'm²'}</span>
+                <span className="text-slate-500">Sheet Weight</span>
+                <span className="text-right text-slate-200">{formatNumber(units === 'IP' ? takeoff.weight : takeoff.weight / KG_TO_LB, 0)} {units === 'IP' ? 'lb' : 'kg'}</span>
+                <span className="text-slate-500">Liner Area</span>
+                <span className="text-right text-slate-200">{showArea(takeoff.linerArea)} {units === 'IP' ? 'ft²' : 'm²'}</span>
+                <span className="text-slate-500">Wrap Area</span>
+                <span className="text-right text-slate-200">{showArea(takeoff.wrapArea)} {units === 'IP' ? 'ft²' : 'm²'}</span>
+            </div>
+            <div className="text-[10px] text-slate-500 mt-2">Weight includes {SEAM_ALLOWANCE * 100}% for seams and laps.</div>
+        </div>
+
+        {/* DUCT HEAT GAIN / LOSS */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-red-400">
+                    <Thermometer size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Duct Heat Gain / Loss</h2>
+                </div>
+                {isDriftWarning ? (
+                    <span className="text-xs font-bold text-red-400 flex items-center gap-1 animate-pulse">
+                        <AlertTriangle size={14} /> Drift Over Limit
+                    </span>
+                ) : (
+                    <span className="text-xs font-bold text-emerald-400 flex items-center gap-1">
+                        <CheckCircle2 size={14} /> Within Limit
+                    </span>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 mb-4">
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Supply Air ({units === 'IP' ? '°F' : '°C'})</label>
+                    <input
+                        type="number"
+                        value={formatNumber(units === 'IP' ? supplyTempF : fToC(supplyTempF), 0)}
+                        onChange={(e) => handleTempInput(setSupplyTempF, e.target.value)}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Surrounding ({units === 'IP' ? '°F' : '°C'})</label>
+                    <input
+                        type="number"
+                        value={formatNumber(units === 'IP' ? ambientTempF : fToC(ambientTempF), 0)}
+                        onChange={(e) => handleTempInput(setAmbientTempF, e.target.value)}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Insulation {units === 'IP' ? 'R (IP)' : 'RSI'}</label>
+                    <input
+                        type="number"
+                        step={units === 'IP' ? 1 : 0.1}
+                        value={formatNumber(units === 'IP' ? ductRValue : ductRValue / R_SI_TO_IP, units === 'IP' ? 0 : 2)}
+                        onChange={(e) => setDuctRValue(Math.max(0, units === 'IP' ? Number(e.target.value) : Number(e.target.value) * R_SI_TO_IP))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Max Drift (Δ{units === 'IP' ? '°F' : '°C'})</label>
+                    <input
+                        type="number"
+                        step={0.5}
+                        value={formatNumber(units === 'IP' ? tempDriftLimitF : (tempDriftLimitF * 5) / 9, 1)}
+                        onChange={(e) => setTempDriftLimitF(Math.max(0, units === 'IP' ? Number(e.target.value) : (Number(e.target.value) * 9) / 5))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+            </div>
+
+            <div className="text-[10px] text-slate-500 mb-2">
+                {builtShape === 'round' ? `Ø ${showSize(stdRound.dia)}` : `${showSize(stdRect.width)} x ${showSize(stdRect.height)}`} {units === 'IP' ? 'in' : 'mm'}, {formatNumber(units === 'IP' ? runLengthFt : runLengthFt / M_TO_FT, 0)} {units === 'IP' ? 'ft' : 'm'} run (shape and length from Takeoff)
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono">
+                <span className="text-slate-500">Leaving Air</span>
+                <span className="text-right text-white font-bold">{showTemp(heat.leavingF)} {units === 'IP' ? '°F' : '°C'}</span>
+                <span className="text-slate-500">Temperature Drift</span>
+                <span className={`text-right font-bold ${isDriftWarning ? 'text-red-400' : 'text-emerald-400'}`}>
+                    {heat.deltaT > 0 ? '+' : ''}{showTempDelta(heat.deltaT)} {units === 'IP' ? '°F' : '°C'}
+                </span>
+                <span className="text-slate-500">{heat.q >= 0 ? 'Heat Gain' : 'Heat Loss'}</span>
+                <span className="text-right text-slate-200">{formatNumber(units === 'IP' ? Math.abs(heat.q) : Math.abs(heat.q) / W_TO_BTUH, 0)} {units === 'IP' ? 'BTU/h' : 'W'}</span>
+                <span className="text-slate-500">U-factor</span>
+                <span className="text-right text-slate-200">{formatNumber(units === 'IP' ? heat.u : heat.u * R_SI_TO_IP, 3)} {units === 'IP' ? 'Btu/h·ft²·°F' : 'W/m²·K'}</span>
+            </div>
+            {heat.q !== 0 && (
+                <div className="text-[10px] text-slate-500 mt-2">
+                    Capacity lost: {formatNumber(units === 'IP' ? Math.abs(heat.q) : Math.abs(heat.q) / W_TO_BTUH, 0)} {units === 'IP' ? 'BTU/h' : 'W'} ({supplyTempF < ambientTempF ? 'cooling' : 'heating'})
+                </div>
+            )}
+        </div>
+
+        {/* LEAKAGE TEST */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-blue-300">
+                    <Droplets size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Leakage Test</h2>
+                </div>
+                {leakTest.pass === null ? (
+                    <span className="text-xs font-bold text-slate-400">No readings</span>
+                ) : (
+                    <span className={`text-xs font-bold flex items-center gap-1 ${leakTest.pass ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {leakTest.pass ? <CheckCircle2 size={14} /> : <AlertTriangle size={14} />} {leakTest.pass ? 'PASS' : 'FAIL'}
+                    </span>
+                )}
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Seal Class</label>
+                    <select
+                        value={sealClassId}
+                        onChange={(e) => selectSealClass(e.target.value)}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white"
+                    >
+                        {SEAL_CLASSES.map((c) => (
+                            <option key={c.id} value={c.id}>{c.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Leakage Class CL</label>
+                    <input
+                        type="number"
+                        min={1}
+                        value={leakageClass}
+                        onChange={(e) => setLeakageClass(Math.max(0, Number(e.target.value)))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+                <div>
+                    <label className="text-[10px] text-slate-500 mb-1 block">Test ({units === 'IP' ? 'in.wg' : 'Pa'})</label>
+                    <input
+                        type="number"
+                        step={units === 'IP' ? 0.5 : 125}
+                        value={formatNumber(units === 'IP' ? testPressure : testPressure / PA_TO_IN_WG, units === 'IP' ? 1 : 0)}
+                        onChange={(e) => setTestPressure(Math.max(0, units === 'IP' ? Number(e.target.value) : Number(e.target.value) * PA_TO_IN_WG))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-center text-xs text-white"
+                    />
+                </div>
+            </div>
+
+            <div className="space-y-2 mb-3">
+                {leakTest.sections.map((s) => (
+                    <div key={s.id} className={`rounded-lg border p-2 ${s.pass === false ? 'bg-red-900/10 border-red-500/40' : 'bg-slate-900 border-slate-700'}`}>
+                        <div className="flex items-center gap-2 mb-1">
+                            <input
+                                type="text"
+                                value={s.section}
+                                onChange={(e) => updateLeakReading(s.id, 'section', e.target.value)}
+                                className="flex-1 bg-transparent text-xs font-bold text-white outline-none"
+                            />
+                            <span className={`text-[10px] font-bold ${s.pass === null ? 'text-slate-500' : s.pass ? 'text-emerald-400' : 'text-red-400'}`}>{leakResultLabel(s.pass, 'Not tested')}</span>
+                            <button onClick={() => removeLeakReading(s.id)} className="text-slate-500 hover:text-red-400">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                        <div className="flex items-center gap-2 text-[10px] text-slate-500">
+                            <label className="flex items-center gap-1">
+                                L
+                                <input
+                                    type="number"
+                                    value={formatNumber(units === 'IP' ? s.length : s.length / M_TO_FT, 0)}
+                                    onChange={(e) => updateLeakReading(s.id, 'length', e.target.value)}
+                                    className="w-14 bg-slate-800 border border-slate-600 rounded p-1 text-center text-white"
+                                />
+                                {units === 'IP' ? 'ft' : 'm'}
+                            </label>
+                            <label className="flex items-center gap-1">
+                                Measured
+                                <input
+                                    type="number"
+                                    step={0.1}
+                                    value={s.measured === null ? '' : formatNumber(showLeakage(s.measured), 1)}
+                                    placeholder="-"
+                                    onChange={(e) => updateLeakReading(s.id, 'measured', e.target.value)}
+                                    className="w-16 bg-slate-800 border border-slate-600 rounded p-1 text-center text-white"
+                                />
+                            </label>
+                            <span className="ml-auto font-mono">≤ {formatNumber(showLeakage(s.allowable), 1)} {units === 'IP' ? 'CFM' : 'L/s'}</span>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex items-center justify-between">
+                <button onClick={addLeakReading} className="text-xs text-blue-300 hover:text-white flex items-center gap-1">
+                    <Plus size={14} /> Section
+                </button>
+                <div className="flex items-center gap-3 text-slate-400">
+                    <button onClick={exportLeakCsv} disabled={!leakTest.sections.length} className="hover:text-white disabled:opacity-30 flex items-center gap-1 text-xs">
+                        <Download size={14} /> CSV
+                    </button>
+                    <button onClick={printLeakReport} disabled={!leakTest.sections.length} className="hover:text-white disabled:opacity-30 flex items-center gap-1 text-xs">
+                        <Printer size={14} /> Report
+                    </button>
+                </div>
+            </div>
+        </div>
+
+        {/* DUCT SYSTEM BUILDER */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-cyan-400">
+                    <GitBranch size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Duct System</h2>
+                </div>
+                <button onClick={addSegment} className="text-xs text-cyan-300 hover:text-white flex items-center gap-1">
+                    <Plus size={14} /> Segment
+                </button>
+            </div>
+
+            {mode === 'check' && (
+                <div className="text-[10px] text-slate-500 mb-3">
+                    Check mode rates one installed duct; segments here are sized by equal friction at {formatNumber(displayFriction, 2)} {units === 'IP' ? 'in.wg/100ft' : 'Pa/m'}.
+                </div>
+            )}
+
+            <div className="space-y-3">
+                {system.segments.map((seg, idx) => {
+                    const onCritical = system.critical && system.critical.segmentIds.includes(seg.id);
+                    return (
+                        <div key={seg.id} className={`rounded-lg border p-3 ${onCritical ? 'bg-cyan-900/10 border-cyan-500/40' : 'bg-slate-900 border-slate-700'}`}>
+                            <div className="flex items-center gap-2 mb-2">
+                                <input
+                                    type="text"
+                                    value={seg.name}
+                                    onChange={(e) => updateSegment(seg.id, 'name', e.target.value)}
+                                    className="flex-1 bg-transparent text-sm font-bold text-white outline-none"
+                                />
+                                <select
+                                    value={seg.parentId ?? ''}
+                                    onChange={(e) => updateSegment(seg.id, 'parentId', e.target.value)}
+                                    className="bg-slate-800 border border-slate-600 rounded p-1 text-[10px] text-slate-300"
+                                >
+                                    <option value="">from AHU</option>
+                                    {segments.slice(0, idx).map((p) => (
+                                        <option key={p.id} value={p.id}>from {p.name}</option>
+                                    ))}
+                                </select>
+                                <button onClick={() => removeSegment(seg.id)} className="text-slate-500 hover:text-red-400">
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                            <div className="grid grid-cols-2 gap-2 mb-2">
+                                <div>
+                                    <label className="text-[10px] text-slate-500 block">Air Flow ({units === 'IP' ? 'CFM' : 'CMH'})</label>
+                                    <input
+                                        type="number"
+                                        value={Math.round(units === 'IP' ? seg.cfm : seg.cfm / CMH_TO_CFM)}
+                                        onChange={(e) => updateSegment(seg.id, 'cfm', e.target.value)}
+                                        className="w-full bg-slate-800 border border-slate-600 rounded p-1 text-center text-sm text-white"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] text-slate-500 block">Length ({units === 'IP' ? 'ft' : 'm'})</label>
+                                    <input
+                                        type="number"
+                                        value={formatNumber(units === 'IP' ? seg.length : seg.length / M_TO_FT, 0)}
+                                        onChange={(e) => updateSegment(seg.id, 'length', e.target.value)}
+                                        className="w-full bg-slate-800 border border-slate-600 rounded p-1 text-center text-sm text-white"
+                                    />
+                                </div>
+                            </div>
+                            <div className="flex justify-between text-[10px] font-mono text-slate-400">
+                                <span>Ø {formatNumber(units === 'IP' ? seg.dia : seg.dia / MM_TO_IN, units === 'IP' ? 1 : 0)}{units === 'IP' ? '"' : 'mm'} · {formatNumber(displayRectSide, 0)}x{formatNumber(units === 'IP' ? seg.rectResult : seg.rectResult / MM_TO_IN, 0)}</span>
+                                <span>{formatNumber(units === 'IP' ? seg.velocity : seg.velocity / M_S_TO_FPM, units === 'IP' ? 0 : 1)} {units === 'IP' ? 'FPM' : 'm/s'}</span>
+                                <span className="text-cyan-300">Δp {formatNumber(showLoss(seg.loss), units === 'IP' ? 3 : 0)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+                            </div>
+                            {seg.flowMismatch && (
+                                <div className="mt-1 text-[10px] text-orange-400 flex items-center gap-1">
+                                    <AlertTriangle size={12} /> Branches carry more air than this segment
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {system.critical && (
+                <div className="mt-4 pt-4 border-t border-slate-700 space-y-1">
+                    <div className="flex justify-between items-baseline">
+                        <span className="text-xs text-slate-400 uppercase font-bold">External Static</span>
+                        <span className="text-xl font-bold text-cyan-300 font-mono">
+                            {formatNumber(showLoss(system.totalStatic), units === 'IP' ? 2 : 0)} {units === 'IP' ? 'in.wg' : 'Pa'}
+                        </span>
+                    </div>
+                    <div className="text-[10px] text-slate-500">
+                        Index path: AHU → {system.critical.segmentIds.map(segmentName).join(' → ')}
+                    </div>
+                </div>
+            )}
+        </div>
+
+        {/* FAN OPERATING POINT */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-fuchsia-400">
+                    <Fan size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Fan Operating Point</h2>
+                </div>
+                <label className="text-slate-400 hover:text-white cursor-pointer flex items-center gap-1 text-xs" title={`CSV: airflow, static pressure (${units === 'IP' ? 'CFM, in.wg' : 'CMH, Pa'})`}>
+                    <Upload size={14} /> CSV
+                    <input
+                        type="file"
+                        accept=".csv,text/csv,text/plain"
+                        className="hidden"
+                        onChange={(e) => { importFanCurve(e.target.files[0]); e.target.value = ''; }}
+                    />
+                </label>
+            </div>
+
+            {fanError && (
+                <div className="text-xs text-red-400 mb-3 flex items-center gap-1">
+                    <AlertTriangle size={12} /> {fanError}
+                </div>
+            )}
+
+            <svg viewBox={`0 0 ${fanPlot.width} ${fanPlot.height}`} className="w-full bg-slate-900 rounded-lg border border-slate-700 mb-3">
+                <line x1={fanPlot.pad} y1={fanPlot.height - fanPlot.pad} x2={fanPlot.width - 8} y2={fanPlot.height - fanPlot.pad} stroke="#475569" strokeWidth="1" />
+                <line x1={fanPlot.pad} y1={8} x2={fanPlot.pad} y2={fanPlot.height - fanPlot.pad} stroke="#475569" strokeWidth="1" />
+                <text x={fanPlot.width - 8} y={fanPlot.height - 10} textAnchor="end" fontSize="8" fill="#64748b">{units === 'IP' ? 'CFM' : 'CMH'} → {formatNumber(units === 'IP' ? fanMaxQ : fanMaxQ / CMH_TO_CFM, 0)}</text>
+                <text x={4} y={14} fontSize="8" fill="#64748b">{formatNumber(showLoss(fanMaxP), units === 'IP' ? 2 : 0)}</text>
+                <text x={4} y={24} fontSize="8" fill="#64748b">{units === 'IP' ? 'in.wg' : 'Pa'}</text>
+                <path d={sysPath} fill="none" stroke="#22d3ee" strokeWidth="2" />
+                <path d={fanPath} fill="none" stroke="#e879f9" strokeWidth="2" />
+                <circle cx={fanX(airflowIP)} cy={fanY(designPressure)} r="4" fill="none" stroke="#f8fafc" strokeWidth="1.5" />
+                {operatingPoint && <circle cx={fanX(operatingPoint.cfm)} cy={fanY(operatingPoint.sp)} r="4" fill="#facc15" />}
+            </svg>
+
+            <div className="flex gap-3 text-[10px] text-slate-500 mb-3">
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-fuchsia-400 inline-block"></span>Fan</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-cyan-400 inline-block"></span>System</span>
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full border border-slate-100 inline-block"></span>Design</span>
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-yellow-400 inline-block"></span>Operating</span>
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono mb-4">
+                <span className="text-slate-500">Design Point</span>
+                <span className="text-right text-slate-200">{formatNumber(displayAirflow, 0)} {units === 'IP' ? 'CFM' : 'CMH'} @ {formatNumber(showLoss(designPressure), units === 'IP' ? 2 : 0)} {units === 'IP' ? 'in.wg' : 'Pa'}</span>
+                <span className="text-slate-500">Operating Point</span>
+                <span className="text-right text-yellow-300 font-bold">
+                    {operatingPoint
+                        ? `${formatNumber(units === 'IP' ? operatingPoint.cfm : operatingPoint.cfm / CMH_TO_CFM, 0)} ${units === 'IP' ? 'CFM' : 'CMH'} @ ${formatNumber(showLoss(operatingPoint.sp), units === 'IP' ? 2 : 0)} ${units === 'IP' ? 'in.wg' : 'Pa'}`
+                        : 'Curves do not cross'}
+                </span>
+                <span className="text-slate-500">{!operatingPoint ? 'Flow Difference' : flowDelta < 0 ? 'Shortfall' : 'Surplus'}</span>
+                <span className={`text-right font-bold ${!operatingPoint ? 'text-slate-400' : flowDelta < 0 ? 'text-red-400' : 'text-emerald-400'}`}>
+                    {operatingPoint ? `${flowDelta > 0 ? '+' : ''}${formatNumber(units === 'IP' ? flowDelta : flowDelta / CMH_TO_CFM, 0)} ${units === 'IP' ? 'CFM' : 'CMH'} (${formatNumber((flowDelta / airflowIP) * 100, 1)}%)` : '-'}
+                </span>
+            </div>
+
+            <div className="flex items-center justify-between mb-2">
+                <label className="text-xs text-slate-500">Extra Losses @ Design ({units === 'IP' ? 'in.wg' : 'Pa'})</label>
+                <input
+                    type="number"
+                    step={units === 'IP' ? 0.05 : 10}
+                    value={formatNumber(showLoss(extraLossIP), units === 'IP' ? 2 : 0)}
+                    onChange={(e) => setExtraLossIP(Math.max(0, units === 'IP' ? Number(e.target.value) : Number(e.target.value) * PA_TO_IN_WG))}
+                    className="w-20 bg-slate-900 border border-slate-600 rounded p-1 text-center text-xs text-white"
+                />
+            </div>
+
+            <div className="space-y-1">
+                {fanPoints.map((p) => (
+                    <div key={p.id} className="flex items-center gap-2 text-[10px] text-slate-500">
+                        <input
+                            type="number"
+                            value={Math.round(units === 'IP' ? p.cfm : p.cfm / CMH_TO_CFM)}
+                            onChange={(e) => updateFanPoint(p.id, 'cfm', e.target.value)}
+                            className="flex-1 bg-slate-900 border border-slate-600 rounded p-1 text-center text-white"
+                        />
+                        {units === 'IP' ? 'CFM' : 'CMH'}
+                        <input
+                            type="number"
+                            step={units === 'IP' ? 0.05 : 10}
+                            value={formatNumber(showLoss(p.sp), units === 'IP' ? 2 : 0)}
+                            onChange={(e) => updateFanPoint(p.id, 'sp', e.target.value)}
+                            className="flex-1 bg-slate-900 border border-slate-600 rounded p-1 text-center text-white"
+                        />
+                        {units === 'IP' ? 'in.wg' : 'Pa'}
+                        <button onClick={() => removeFanPoint(p.id)} className="text-slate-500 hover:text-red-400">
+                            <Trash2 size={12} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <button onClick={addFanPoint} className="mt-2 text-xs text-fuchsia-300 hover:text-white flex items-center gap-1">
+                <Plus size={14} /> Fan Point
+            </button>
+        </div>
+
+        {/* DESIGN RULE CHECK */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-emerald-400">
+                    <ListChecks size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Design Rule Check</h2>
+                </div>
+                <span className="text-[10px] text-slate-500">Rules v{DESIGN_RULESET_VERSION}</span>
             </div>
+            {designFindings.length === 0 ? (
+                <div className="flex items-center gap-2 text-xs text-emerald-400">
+                    <CheckCircle2 size={14} /> All {DESIGN_RULES.length} SMACNA/ASHRAE rules pass for {profile.label}.
+                </div>
+            ) : (
+                <ul className="space-y-2">
+                    {designFindings.map((f, i) => (
+                        <li key={`${f.ruleId}-${i}`} className="bg-slate-900 rounded-lg p-3 border border-slate-700 text-xs">
+                            <div className="flex items-center justify-between mb-1">
+                                <span className={`font-bold uppercase ${severityColor[f.severity]}`}>{f.severity}</span>
+                                <span className="text-[10px] text-slate-500 font-mono">{f.ruleId} v{f.ruleVersion}</span>
+                            </div>
+                            <div className="text-slate-200">{f.message}</div>
+                            <div className="text-slate-400 mt-1">Fix: {f.fix}</div>
+                            <div className="text-[10px] text-slate-500 mt-1">{f.ref}</div>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
 
-        {/* GEMINI AI TOOLS SECTION */}
+        {/* AI TOOLS SECTION */}
         <div className="bg-gradient-to-r from-indigo-900 to-purple-900 rounded-2xl p-5 shadow-xl border border-indigo-500/30">
-          <div className="flex items-center gap-2 mb-4 text-indigo-300">
-            <Sparkles size={20} className="text-yellow-400" />
-            <h2 className="text-sm font-bold uppercase tracking-wider">AI Superintendent</h2>
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2 text-indigo-300">
+              <Sparkles size={20} className="text-yellow-400" />
+              <h2 className="text-sm font-bold uppercase tracking-wider">AI Superintendent</h2>
+            </div>
+            <button
+              onClick={() => setShowAiSettings(!showAiSettings)}
+              className={`flex items-center gap-1 text-xs ${showAiSettings ? 'text-white' : 'text-indigo-300 hover:text-white'}`}
+            >
+              <Settings2 size={14} /> {aiProvider.label}
+            </button>
           </div>
 
+          {showAiSettings && (
+            <div className="bg-slate-950/50 rounded-lg p-3 mb-4 border border-indigo-500/30 space-y-2 text-xs">
+              <div className="flex items-center gap-2">
+                <label className="text-indigo-300 w-20">Provider</label>
+                <select
+                  value={aiProvider.id}
+                  onChange={(e) => updateAiSettings({ ...aiSettings, provider: e.target.value })}
+                  className="flex-1 bg-slate-900 border border-slate-600 rounded p-1 text-white"
+                >
+                  {AI_PROVIDERS.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+              </div>
+              {aiProvider.fields.map((field) => (
+                <div key={field} className="flex items-center gap-2">
+                  <label className="text-indigo-300 w-20">{{ model: 'Model', baseUrl: 'Base URL', apiKey: 'API Key' }[field]}</label>
+                  <input
+                    type={field === 'apiKey' ? 'password' : 'text'}
+                    value={aiSettings[aiProvider.id][field]}
+                    placeholder={field === 'apiKey' ? 'optional for local servers' : aiProvider.defaults[field]}
+                    onChange={(e) => updateProviderSetting(field, e.target.value)}
+                    className="flex-1 bg-slate-900 border border-slate-600 rounded p-1 text-white font-mono"
+                  />
+                </div>
+              ))}
+              <p className="text-slate-500">
+                {aiProvider.id === 'offline'
+                  ? 'Deterministic answers from the design rules; no network needed.'
+                  : 'Settings and key are stored in this browser only.'}
+              </p>
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-3 mb-4">
             <button
-              onClick={() => callGemini('analyze')}
+              onClick={() => callAi('analyze')}
               disabled={aiLoading}
               className="flex flex-col items-center justify-center gap-2 p-3 bg-indigo-950/50 hover:bg-indigo-900 border border-indigo-500/50 rounded-xl transition-all disabled:opacity-50"
             >
@@ -455,7 +2290,7 @@ export default function App() {
               <span className="text-xs font-medium text-indigo-200">Safety Check</span>
             </button>
             <button
-              onClick={() => callGemini('draft')}
+              onClick={() => callAi('draft')}
               disabled={aiLoading}
               className="flex flex-col items-center justify-center gap-2 p-3 bg-purple-950/50 hover:bg-purple-900 border border-purple-500/50 rounded-xl transition-all disabled:opacity-50"
             >
@@ -467,32 +2302,326 @@ export default function App() {
           {/* AI Response Area */}
           {(aiLoading || aiResponse || aiError) && (
             <div className="bg-slate-950/50 rounded-lg p-4 border border-indigo-500/30 min-h-[100px] relative">
-              {aiLoading ? (
+              {aiLoading && !aiResponse ? (
                 <div className="flex flex-col items-center justify-center h-full gap-2 text-indigo-300 py-4">
                   <Loader2 size={24} className="animate-spin" />
                   <span className="text-xs">Consulting Standards...</span>
                 </div>
-              ) : aiError ? (
-                <div className="text-red-400 text-sm text-center">{aiError}</div>
               ) : (
                 <div className="animate-in fade-in slide-in-from-bottom-2">
-                  <div className="flex justify-between items-start mb-2">
-                    <span className="text-xs text-indigo-400 font-bold uppercase">
-                      {aiMode === 'analyze' ? 'SMACNA Assessment' : 'Field Instruction'}
-                    </span>
-                    <button onClick={copyToClipboard} className="text-slate-500 hover:text-white">
-                      <Copy size={14} />
-                    </button>
-                  </div>
-                  <p className="text-sm text-slate-200 leading-relaxed whitespace-pre-wrap">
-                    {aiResponse}
-                  </p>
+                  {aiResponse && (
+                    <>
+                      <div className="flex justify-between items-start mb-2">
+                        <span className="text-xs text-indigo-400 font-bold uppercase flex items-center gap-2">
+                          {aiMode === 'analyze' ? 'SMACNA Assessment' : 'Field Instruction'}
+                          {aiLoading && <Loader2 size={12} className="animate-spin" />}
+                        </span>
+                        <div className="flex items-center gap-3">
+                          <button onClick={copyShareLink} title="Copy link to this calculation" className="text-slate-500 hover:text-white">
+                            {linkCopied ? <CheckCircle2 size={14} className="text-emerald-400" /> : <Link size={14} />}
+                          </button>
+                          <button onClick={copyToClipboard} title="Copy response" className="text-slate-500 hover:text-white">
+                            <Copy size={14} />
+                          </button>
+                        </div>
+                      </div>
+                      <p className="text-sm text-slate-200 leading-relaxed whitespace-pre-wrap">
+                        {aiResponse}
+                      </p>
+                    </>
+                  )}
+                  {aiError && <div className={`text-red-400 text-sm text-center ${aiResponse ? 'mt-2' : ''}`}>{aiError}</div>}
                 </div>
               )}
             </div>
           )}
         </div>
 
+        {/* BATCH SIZING */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-teal-400">
+                    <Sheet size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Batch Sizing</h2>
+                </div>
+                <label className="text-slate-400 hover:text-white cursor-pointer flex items-center gap-1 text-xs" title={`CSV: tag, airflow, fixed side (${units === 'IP' ? 'CFM, in' : 'CMH, mm'})`}>
+                    <Upload size={14} /> CSV
+                    <input
+                        type="file"
+                        accept=".csv,.tsv,text/csv,text/plain"
+                        className="hidden"
+                        onChange={(e) => { importBatchFile(e.target.files[0]); e.target.value = ''; }}
+                    />
+                </label>
+            </div>
+
+            <textarea
+                value={batchText}
+                onChange={(e) => setBatchText(e.target.value)}
+                rows={3}
+                placeholder={units === 'IP' ? 'Tag, CFM, fixed side (in)\nVAV-1, 450\nVAV-2, 800, 10' : 'Tag, CMH, fixed side (mm)\nVAV-1, 750\nVAV-2, 1350, 250'}
+                className="w-full bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white font-mono mb-2"
+            />
+            <button
+                onClick={() => loadBatch(batchText)}
+                disabled={!batchText.trim()}
+                className="w-full py-2 bg-slate-900 hover:bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200 disabled:opacity-30 mb-3"
+            >
+                Size Pasted Rows
+            </button>
+
+            <div className="text-[10px] text-slate-500 mb-3">
+                Sized by {batchMode === 'velocity'
+                    ? `velocity at ${formatNumber(displayVelocity, units === 'IP' ? 0 : 1)} ${units === 'IP' ? 'FPM' : 'm/s'}`
+                    : `friction at ${formatNumber(displayFriction, 2)} ${units === 'IP' ? 'in.wg/100ft' : 'Pa/m'}`}
+                {mode !== batchMode && ' (equal friction is used in Regain and Check modes)'}
+                ; blank side uses {formatNumber(displayRectSide, 0)} {units === 'IP' ? 'in' : 'mm'}.
+            </div>
+
+            {batchError && (
+                <div className="text-xs text-red-400 mb-3 flex items-center gap-1">
+                    <AlertTriangle size={12} /> {batchError}
+                </div>
+            )}
+
+            {batchResults.length > 0 && (
+                <div className="overflow-x-auto mb-3">
+                    <table className="w-full text-[10px] font-mono">
+                        <thead>
+                            <tr className="text-slate-500 text-left">
+                                <th className="pr-2 pb-1 font-normal">Tag</th>
+                                <th className="pr-2 pb-1 font-normal">{units === 'IP' ? 'CFM' : 'CMH'}</th>
+                                <th className="pr-2 pb-1 font-normal">Side</th>
+                                <th className="pr-2 pb-1 font-normal">Round</th>
+                                <th className="pr-2 pb-1 font-normal">Rect</th>
+                                <th className="pr-2 pb-1 font-normal">{units === 'IP' ? 'FPM' : 'm/s'}</th>
+                                <th className="pb-1"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {batchResults.map((row) => (
+                                <React.Fragment key={row.id}>
+                                    <tr className="text-slate-300 border-t border-slate-700">
+                                        <td className="pr-2 py-1">
+                                            <input
+                                                type="text"
+                                                value={row.tag}
+                                                onChange={(e) => updateBatchRow(row.id, 'tag', e.target.value)}
+                                                className="w-16 bg-transparent text-white outline-none"
+                                            />
+                                        </td>
+                                        <td className="pr-2 py-1">
+                                            <input
+                                                type="number"
+                                                value={Math.round(units === 'IP' ? row.cfm : row.cfm / CMH_TO_CFM)}
+                                                onChange={(e) => updateBatchRow(row.id, 'cfm', e.target.value)}
+                                                className="w-14 bg-slate-900 border border-slate-600 rounded px-1 text-white"
+                                            />
+                                        </td>
+                                        <td className="pr-2 py-1">
+                                            <input
+                                                type="number"
+                                                value={row.side === null ? '' : formatNumber(units === 'IP' ? row.side : row.side / MM_TO_IN, 0)}
+                                                placeholder={formatNumber(displayRectSide, 0)}
+                                                onChange={(e) => updateBatchRow(row.id, 'side', e.target.value)}
+                                                className="w-12 bg-slate-900 border border-slate-600 rounded px-1 text-white"
+                                            />
+                                        </td>
+                                        <td className="pr-2 py-1 whitespace-nowrap">{formatNumber(units === 'IP' ? row.sized.dia : row.sized.dia / MM_TO_IN, units === 'IP' ? 1 : 0)}</td>
+                                        <td className="pr-2 py-1 whitespace-nowrap">
+                                            {formatNumber(units === 'IP' ? row.sized.rectSide : row.sized.rectSide / MM_TO_IN, 0)}x{formatNumber(units === 'IP' ? row.sized.rectResult : row.sized.rectResult / MM_TO_IN, 0)}
+                                        </td>
+                                        <td className={`pr-2 py-1 ${statusColor(classifyRange(row.sized.velocity, profile.velocity))}`}>
+                                            {formatNumber(units === 'IP' ? row.sized.velocity : row.sized.velocity / M_S_TO_FPM, units === 'IP' ? 0 : 1)}
+                                        </td>
+                                        <td className="py-1">
+                                            <button onClick={() => removeBatchRow(row.id)} className="text-slate-500 hover:text-red-400">
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                    {row.findings.map((f, i) => (
+                                        <tr key={`${row.id}-${f.ruleId}-${i}`}>
+                                            <td colSpan={7} className={`pb-1 font-sans ${severityColor[f.severity]}`}>
+                                                <AlertTriangle size={10} className="inline mr-1" />{f.message}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+                <button
+                    onClick={addBatchRow}
+                    className="flex items-center justify-center gap-2 py-2 bg-slate-900 hover:bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200"
+                >
+                    <Plus size={14} /> Row
+                </button>
+                <button
+                    onClick={exportBatchCsv}
+                    disabled={!batchResults.length}
+                    className="flex items-center justify-center gap-2 py-2 bg-slate-900 hover:bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200 disabled:opacity-30"
+                >
+                    <Download size={14} /> CSV
+                </button>
+            </div>
+        </div>
+
+        {/* DUCT SCHEDULE */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-lime-400">
+                    <Table size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Duct Schedule</h2>
+                </div>
+                <div className="bg-slate-900 p-1 rounded flex border border-slate-600">
+                    {['current', 'project'].map((scope) => (
+                        <button
+                            key={scope}
+                            onClick={() => setScheduleScope(scope)}
+                            disabled={scope === 'project' && !activeProject}
+                            className={`px-2 py-1 text-[10px] font-bold rounded transition-all disabled:opacity-30 ${scheduleScope === scope ? 'bg-slate-700 text-white shadow' : 'text-slate-500'}`}
+                        >
+                            {scope === 'current' ? 'Current' : 'Project'}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="overflow-x-auto mb-4">
+                <table className="w-full text-[10px] font-mono">
+                    <thead>
+                        <tr className="text-slate-500 text-left">
+                            {scheduleHeaders(units).map((h) => (
+                                <th key={h} className="pr-2 pb-1 font-normal whitespace-nowrap">{h}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {buildSchedule().map((row, i) => (
+                            <tr key={i} className="text-slate-300 border-t border-slate-700">
+                                {row.map((cell, j) => (
+                                    <td key={j} className={`pr-2 py-1 whitespace-nowrap ${j === row.length - 1 && cell !== 'OK' ? 'text-red-400' : ''}`}>{cell}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <button
+                    onClick={exportScheduleCsv}
+                    className="flex items-center justify-center gap-2 py-2 bg-slate-900 hover:bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200"
+                >
+                    <Download size={14} /> CSV
+                </button>
+                <button
+                    onClick={printSubmittal}
+                    className="flex items-center justify-center gap-2 py-2 bg-slate-900 hover:bg-slate-700 border border-slate-600 rounded-lg text-xs text-slate-200"
+                >
+                    <Printer size={14} /> Submittal / PDF
+                </button>
+            </div>
+        </div>
+
+        {/* PROJECTS */}
+        <div className="bg-slate-800 rounded-2xl p-5 shadow-xl border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 text-sky-400">
+                    <FolderOpen size={18} />
+                    <h2 className="text-sm font-bold uppercase tracking-wider">Projects</h2>
+                </div>
+                <div className="flex items-center gap-3 text-slate-400">
+                    <button onClick={createProject} className="hover:text-white flex items-center gap-1 text-xs">
+                        <Plus size={14} /> New
+                    </button>
+                    <label className="hover:text-white cursor-pointer" title="Import JSON">
+                        <Upload size={14} />
+                        <input
+                            type="file"
+                            accept="application/json,.json"
+                            className="hidden"
+                            onChange={(e) => { importProjects(e.target.files[0]); e.target.value = ''; }}
+                        />
+                    </label>
+                    <button onClick={exportProjects} disabled={!projects.length} className="hover:text-white disabled:opacity-30" title="Export JSON">
+                        <Download size={14} />
+                    </button>
+                </div>
+            </div>
+
+            {projectError && (
+                <div className="text-xs text-red-400 mb-3 flex items-center gap-1">
+                    <AlertTriangle size={12} /> {projectError}
+                </div>
+            )}
+
+            {projects.length === 0 ? (
+                <div className="text-xs text-slate-500 text-center py-2">No saved projects yet</div>
+            ) : (
+                <div className="space-y-1 mb-4">
+                    {projects.map((p) => (
+                        <div
+                            key={p.id}
+                            className={`flex items-center gap-2 rounded px-2 py-1 border ${p.id === activeProjectId ? 'bg-sky-900/20 border-sky-500/40' : 'bg-slate-900 border-slate-700'}`}
+                        >
+                            <input
+                                type="text"
+                                value={p.name}
+                                onFocus={() => setActiveProjectId(p.id)}
+                                onChange={(e) => renameProject(p.id, e.target.value)}
+                                className="flex-1 bg-transparent text-xs text-white outline-none"
+                            />
+                            <span className="text-[10px] text-slate-500">{p.ducts.length} ducts</span>
+                            <button onClick={() => deleteProject(p.id)} className="text-slate-500 hover:text-red-400">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {activeProject && (
+                <div className="border-t border-slate-700 pt-4">
+                    <div className="flex gap-2 mb-3">
+                        <input
+                            type="text"
+                            value={ductName}
+                            placeholder="Duct tag, e.g. SA-3 to Conf Room"
+                            onChange={(e) => setDuctName(e.target.value)}
+                            className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded p-2 text-xs text-white"
+                        />
+                        <button
+                            onClick={saveDuct}
+                            className="bg-sky-600/30 border border-sky-500/50 rounded px-3 text-sky-300 hover:bg-sky-600/50 flex items-center gap-1 text-xs font-bold"
+                        >
+                            <Save size={14} /> Save
+                        </button>
+                    </div>
+                    <div className="space-y-1">
+                        {activeProject.ducts.map((d) => (
+                            <div key={d.id} className="flex items-center gap-2 bg-slate-900 border border-slate-700 rounded px-2 py-1">
+                                <button onClick={() => loadDuct(d)} className="flex-1 text-left text-xs text-white hover:text-sky-300 truncate">
+                                    {d.name}
+                                </button>
+                                <span className="text-[10px] font-mono text-slate-500">
+                                    {formatNumber(d.units === 'SI' ? d.inputs.airflowIP / CMH_TO_CFM : d.inputs.airflowIP, 0)} {d.units === 'SI' ? 'CMH' : 'CFM'} · {d.mode}
+                                </span>
+                                <button onClick={() => deleteDuct(d.id)} className="text-slate-500 hover:text-red-400">
+                                    <Trash2 size={12} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+
       </main>
     </div>
   );
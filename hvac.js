@@ -0,0 +1,1104 @@
+// DuctMaster Pro calculation library: pure SMACNA / ASHRAE duct math in native IP units.
+// The UI in app.jsx only converts for display.
+
+// --- CONVERSION CONSTANTS ---
+export const CMH_TO_CFM = 0.588578;
+export const PA_M_TO_IN_100FT = 0.1224; 
+export const M_S_TO_FPM = 196.85;
+export const MM_TO_IN = 0.0393701;
+export const M_TO_FT = 3.28084;
+export const PA_TO_IN_WG = 0.0040146;
+export const KG_M3_TO_LB_FT3 = 0.062428;
+export const M2_TO_SQFT = 10.7639;
+export const KG_TO_LB = 2.20462;
+export const R_SI_TO_IP = 5.678; // m²·K/W → h·ft²·°F/Btu
+export const W_TO_BTUH = 3.41214;
+export const L_S_TO_CFM = 2.11888;
+
+export const cToF = (c) => c * 9 / 5 + 32;
+export const fToC = (f) => (f - 32) * 5 / 9;
+
+// --- AIR & DUCT MATERIAL DATA (ASHRAE Fundamentals, Ch. 21) ---
+// Standard air: density in lb/ft³, kinematic viscosity in ft²/s
+export const STANDARD_AIR = { density: 0.075, viscosity: 1.62e-4 };
+
+// Absolute roughness (ε) in feet
+export const DUCT_MATERIALS = [
+  { id: 'galv', label: 'Galvanized Steel', roughnessFt: 0.0003 },
+  { id: 'spiral', label: 'Spiral Galvanized', roughnessFt: 0.0003 },
+  { id: 'galvBeaded', label: 'Galv. Beaded Slip Joints', roughnessFt: 0.0005 },
+  { id: 'aluminum', label: 'Aluminum', roughnessFt: 0.00015 },
+  { id: 'pvcCoated', label: 'PVC-Coated Steel', roughnessFt: 0.00015 },
+  { id: 'pvc', label: 'PVC Plastic', roughnessFt: 0.0001 },
+  { id: 'ductBoard', label: 'Fibrous Glass Duct Board', roughnessFt: 0.003 },
+  { id: 'liner', label: 'Fibrous Glass Liner', roughnessFt: 0.005 },
+  { id: 'flex', label: 'Flex Duct (Fully Extended)', roughnessFt: 0.007 },
+  { id: 'concrete', label: 'Concrete', roughnessFt: 0.004 }
+];
+
+export const getMaterial = (id) => DUCT_MATERIALS.find((m) => m.id === id) || DUCT_MATERIALS[0];
+
+// Conditions the moist air correlations below are used for
+export const AIR_CONDITION_RANGES = { elevationFt: [-1500, 15000], tempF: [-40, 250], rh: [0, 100] };
+
+const clampToRange = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// Moist air properties (ASHRAE Fundamentals, Ch. 1) with Sutherland viscosity.
+// Inputs are clamped to AIR_CONDITION_RANGES, and the vapour pressure is held below the
+// total pressure: above the local boiling point the air cannot reach the requested RH.
+export const calcAirProperties = (elevationFt, tempF, rhPct) => {
+  const elevation = clampToRange(elevationFt, AIR_CONDITION_RANGES.elevationFt);
+  const dryBulbF = clampToRange(tempF, AIR_CONDITION_RANGES.tempF);
+  const pressure = 14.696 * Math.pow(1 - 6.8754e-6 * elevation, 5.2559); // psia
+  const tC = fToC(dryBulbF);
+  const pws = 0.145038 * 0.61094 * Math.exp((17.625 * tC) / (tC + 243.04)); // psia
+  const pw = Math.min(clampToRange(rhPct, AIR_CONDITION_RANGES.rh) / 100 * pws, 0.99 * pressure);
+  const humidityRatio = (0.621945 * pw) / (pressure - pw);
+  const tR = dryBulbF + 459.67;
+  const density = ((pressure * 144) / (53.352 * tR * (1 + 1.6078 * humidityRatio))) * (1 + humidityRatio);
+  const tK = tC + 273.15;
+  const dynamicViscosity = 0.671969 * 1.716e-5 * Math.pow(tK / 273.15, 1.5) * (273.15 + 110.4) / (tK + 110.4); // lb/ft·s
+  return { pressure, humidityRatio, density, viscosity: dynamicViscosity / density };
+};
+
+// Velocity pressure: VP = ρ (V / 1097)²  [in.wg, V in fpm]
+export const calcVelocityPressure = (fpm, air = STANDARD_AIR) => air.density * Math.pow(fpm / 1097, 2);
+
+// --- HVAC MATH FUNCTIONS (SMACNA / ASHRAE) ---
+// Friction options: { method: 'darcy' | 'chart', roughness: ε in ft, air: { density, viscosity } }
+// 'chart' is the galvanized power-law fit of the ASHRAE friction chart.
+export const DEFAULT_FRICTION_OPTS = { method: 'darcy', roughness: 0.0003, air: STANDARD_AIR };
+
+// Chart correction for non-standard air: (ρ/ρs)^0.9 (μ/μs)^0.1
+const chartAirFactor = (air = STANDARD_AIR) => {
+  const mu = air.density * air.viscosity;
+  const muStd = STANDARD_AIR.density * STANDARD_AIR.viscosity;
+  return Math.pow(air.density / STANDARD_AIR.density, 0.9) * Math.pow(mu / muStd, 0.1);
+};
+
+export const calcVelocity = (cfm, diaInches) => {
+  if (diaInches <= 0) return 0;
+  const areaSqFt = Math.PI * Math.pow(diaInches / 24, 2);
+  return cfm / areaSqFt;
+};
+
+export const calcReynolds = (diaInches, fpm, air = STANDARD_AIR) => {
+  if (diaInches <= 0 || fpm <= 0) return 0;
+  return ((diaInches / 12) * (fpm / 60)) / air.viscosity;
+};
+
+// Colebrook equation, seeded with Altshul-Tsal and solved by fixed-point iteration
+export const colebrookFactor = (re, relRoughness) => {
+  if (re <= 0) return 0;
+  if (re < 2000) return 64 / re;
+  const ft = 0.11 * Math.pow(relRoughness + 68 / re, 0.25);
+  let f = ft >= 0.018 ? ft : 0.85 * ft + 0.0028;
+  for (let i = 0; i < 20; i++) {
+    const inv = -2 * Math.log10(relRoughness / 3.7 + 2.51 / (re * Math.sqrt(f)));
+    const next = 1 / (inv * inv);
+    if (Math.abs(next - f) < 1e-10) return next;
+    f = next;
+  }
+  return f;
+};
+
+export const calcFrictionChart = (cfm, diaInches) => {
+  if (diaInches <= 0 || cfm <= 0) return 0;
+  return (0.109136 * Math.pow(cfm, 1.9)) / Math.pow(diaInches, 5.02);
+};
+
+// Darcy-Weisbach: Δp/100ft = (1200 f / D) ρ (V / 1097)²  [in.wg, D in inches, V in fpm]
+export const calcFrictionDarcy = (cfm, diaInches, roughnessFt, air = STANDARD_AIR) => {
+  if (diaInches <= 0 || cfm <= 0) return 0;
+  const v = calcVelocity(cfm, diaInches);
+  const f = colebrookFactor(calcReynolds(diaInches, v, air), roughnessFt / (diaInches / 12));
+  return ((1200 * f) / diaInches) * air.density * Math.pow(v / 1097, 2);
+};
+
+export const calcFriction = (cfm, diaInches, opts = DEFAULT_FRICTION_OPTS) => {
+  const air = opts.air || STANDARD_AIR;
+  if (opts.method === 'chart') return calcFrictionChart(cfm, diaInches) * chartAirFactor(air);
+  return calcFrictionDarcy(cfm, diaInches, opts.roughness ?? DEFAULT_FRICTION_OPTS.roughness, air);
+};
+
+export const solveDiaByFriction = (cfm, friction, opts = DEFAULT_FRICTION_OPTS) => {
+  if (cfm <= 0 || friction <= 0) return 0;
+  if (opts.method === 'chart') {
+    const k = chartAirFactor(opts.air || STANDARD_AIR);
+    return Math.pow((0.109136 * Math.pow(cfm, 1.9) * k) / friction, 1 / 5.02);
+  }
+  // Friction falls monotonically with diameter, so bisect on a log scale
+  let lo = 0.5;
+  let hi = 500;
+  for (let i = 0; i < 60; i++) {
+    const mid = Math.sqrt(lo * hi);
+    if (calcFriction(cfm, mid, opts) > friction) lo = mid;
+    else hi = mid;
+  }
+  return Math.sqrt(lo * hi);
+};
+
+export const solveDiaByVelocity = (cfm, fpm) => {
+  if (cfm <= 0 || fpm <= 0) return 0;
+  const areaSqFt = cfm / fpm;
+  return 2 * Math.sqrt(areaSqFt / Math.PI) * 12; 
+};
+
+// Huebscher equivalent diameter: De = 1.30 (ab)^0.625 / (a + b)^0.25
+export const calcRectEquivalentDia = (a, b) => {
+  if (a <= 0 || b <= 0) return 0;
+  return 1.30 * (Math.pow(a * b, 0.625) / Math.pow(a + b, 0.25));
+};
+
+export const solveRectDimension = (targetDia, knownSide) => {
+  if (targetDia <= 0 || knownSide <= 0) return 0;
+  let bestSide = 0;
+  let minDiff = 1000;
+  for (let x = 2; x <= 150; x += 0.5) {
+    const calcDe = calcRectEquivalentDia(knownSide, x);
+    const diff = Math.abs(calcDe - targetDia);
+    if (diff < minDiff) {
+      minDiff = diff;
+      bestSide = x;
+    }
+  }
+  return bestSide;
+};
+
+// --- STANDARD SIZES ---
+// Fabricated increments: even-inch round and 2" rectangular steps (IP), EN 1506 / EN 1505 series (SI, mm)
+export const STANDARD_SIZES = {
+  IP: {
+    round: Array.from({ length: 29 }, (_, i) => 4 + i * 2),
+    rect: Array.from({ length: 47 }, (_, i) => 4 + i * 2)
+  },
+  SI: {
+    round: [63, 80, 100, 125, 140, 160, 180, 200, 224, 250, 280, 315, 355, 400, 450, 500, 560, 630, 710, 800, 900, 1000, 1120, 1250, 1400, 1600],
+    rect: [100, 150, 200, 250, 300, 400, 500, 600, 800, 1000, 1200, 1400, 1600, 1800, 2000]
+  }
+};
+
+// Standard series for the unit system, always returned in inches
+export const standardSeries = (units, kind) =>
+  units === 'IP' ? STANDARD_SIZES.IP[kind] : STANDARD_SIZES.SI[kind].map((mm) => mm * MM_TO_IN);
+
+export const snapToStandard = (value, series) => {
+  if (value <= 0) return 0;
+  return series.reduce((best, size) => (Math.abs(size - value) < Math.abs(best - value) ? size : best), series[0]);
+};
+
+// Actual performance of a built size: rectangular velocity uses the true area, friction uses De
+export const calcRoundPerformance = (cfm, dia, opts = DEFAULT_FRICTION_OPTS) => ({
+  dia,
+  velocity: calcVelocity(cfm, dia),
+  friction: calcFriction(cfm, dia, opts)
+});
+
+export const calcRectPerformance = (cfm, width, height, opts = DEFAULT_FRICTION_OPTS) => {
+  const de = calcRectEquivalentDia(width, height);
+  return {
+    width,
+    height,
+    de,
+    aspect: Math.max(width, height) / Math.min(width, height),
+    velocity: width > 0 && height > 0 ? cfm / ((width * height) / 144) : 0,
+    friction: calcFriction(cfm, de, opts)
+  };
+};
+
+// Every standard W x H pair within tolerance of the target and under the aspect limit,
+// best match first. target: { kind: 'friction' | 'velocity' | 'diameter', value }
+export const rankRectAlternatives = (cfm, target, series, opts = DEFAULT_FRICTION_OPTS, { tolerance = 0.1, maxAspect = 4 } = {}) => {
+  if (cfm <= 0 || target.value <= 0) return [];
+  const results = [];
+  series.forEach((width, i) => {
+    series.slice(0, i + 1).forEach((height) => {
+      const perf = calcRectPerformance(cfm, width, height, opts);
+      if (perf.aspect > maxAspect) return;
+      const actual = target.kind === 'friction' ? perf.friction : target.kind === 'velocity' ? perf.velocity : perf.de;
+      const deviation = (actual - target.value) / target.value;
+      if (Math.abs(deviation) <= tolerance) results.push({ ...perf, deviation });
+    });
+  });
+  return results.sort((a, b) => Math.abs(a.deviation) - Math.abs(b.deviation) || a.width * a.height - b.width * b.height);
+};
+
+// --- FLAT OVAL (ASHRAE) ---
+// Spiral flat-oval range most manufacturers can roll (major / minor)
+export const FLAT_OVAL_ASPECT_LIMITS = { min: 1.25, max: 4 };
+
+// De = 1.55 A^0.625 / P^0.25 with A = πb²/4 + b(a - b), P = πb + 2(a - b)  [inches]
+export const calcFlatOvalGeometry = (major, minor) => {
+  if (major <= 0 || minor <= 0) return { area: 0, perimeter: 0, equivalentDia: 0 };
+  const area = (Math.PI * minor * minor) / 4 + minor * (major - minor);
+  const perimeter = Math.PI * minor + 2 * (major - minor);
+  return { area, perimeter, equivalentDia: (1.55 * Math.pow(area, 0.625)) / Math.pow(perimeter, 0.25) };
+};
+
+export const solveFlatOvalMajor = (targetDia, minor) => {
+  if (targetDia <= 0 || minor <= 0) return 0;
+  // A major axis equal to the minor is round; anything smaller than that cannot be rolled
+  if (calcFlatOvalGeometry(minor, minor).equivalentDia >= targetDia) return minor;
+  let lo = minor;
+  let hi = minor * 2;
+  while (calcFlatOvalGeometry(hi, minor).equivalentDia < targetDia) hi *= 2;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (calcFlatOvalGeometry(mid, minor).equivalentDia < targetDia) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Regain coefficients R seen in practice; blank or out-of-range input is clamped when sizing
+export const REGAIN_COEF_RANGE = [0.5, 1];
+
+// Static regain: pick the downstream diameter where R (VPup - VPdown) offsets the section's
+// straight-duct and fitting losses. Regain rises and losses fall with diameter, so bisect.
+export const calcStaticRegainBalance = (cfm, diaInches, upstreamFpm, section, opts = DEFAULT_FRICTION_OPTS) => {
+  const air = opts.air || STANDARD_AIR;
+  const fpm = calcVelocity(cfm, diaInches);
+  const regainCoef = clampToRange(Number(section.regainCoef) || 0, REGAIN_COEF_RANGE);
+  const regain = regainCoef * (calcVelocityPressure(upstreamFpm, air) - calcVelocityPressure(fpm, air));
+  const loss = (calcFriction(cfm, diaInches, opts) * section.length) / 100
+    + calcFittingsLoss(section.fittings || [], fpm, air).total;
+  return { regain, loss };
+};
+
+export const solveDiaByStaticRegain = (cfm, upstreamFpm, section, opts = DEFAULT_FRICTION_OPTS) => {
+  if (cfm <= 0 || upstreamFpm <= 0) return 0;
+  let lo = 0.5;
+  let hi = 500;
+  for (let i = 0; i < 60; i++) {
+    const mid = Math.sqrt(lo * hi);
+    const { regain, loss } = calcStaticRegainBalance(cfm, mid, upstreamFpm, section, opts);
+    if (regain < loss) lo = mid;
+    else hi = mid;
+  }
+  return Math.sqrt(lo * hi);
+};
+
+// --- EXISTING DUCT CHECK ---
+// duct: { shape: 'round' | 'rect', dia, width, height } in inches
+export const calcDuctSection = (duct) => {
+  if (duct.shape === 'rect') {
+    return { de: calcRectEquivalentDia(duct.width, duct.height), area: (duct.width * duct.height) / 144 };
+  }
+  return { de: duct.dia, area: Math.PI * Math.pow(duct.dia / 24, 2) };
+};
+
+export const checkExistingDuct = (cfm, duct, opts = DEFAULT_FRICTION_OPTS) => {
+  const { de, area } = calcDuctSection(duct);
+  // Round velocity comes straight from calcVelocity; rectangular uses its true free area
+  const velocity = duct.shape === 'rect' ? (area > 0 ? cfm / area : 0) : calcVelocity(cfm, de);
+  return {
+    de,
+    area,
+    velocity,
+    friction: calcFriction(cfm, de, opts),
+    velocityPressure: calcVelocityPressure(velocity, opts.air || STANDARD_AIR)
+  };
+};
+
+// Largest airflow the duct carries within a limit: { kind: 'friction' | 'velocity', value }
+export const solveMaxAirflow = (duct, limit, opts = DEFAULT_FRICTION_OPTS) => {
+  const { de, area } = calcDuctSection(duct);
+  if (de <= 0 || limit.value <= 0) return 0;
+  if (limit.kind === 'velocity') return limit.value * area;
+  // Friction rises monotonically with airflow
+  let lo = 0;
+  let hi = 1000;
+  while (calcFriction(hi, de, opts) < limit.value && hi < 1e7) hi *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (calcFriction(mid, de, opts) < limit.value) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Sizes one duct for the active mode in native IP.
+// design: { mode, friction, velocity, rectSide } plus, for 'regain', { upstreamVelocity, regainCoef, length, fittings }
+// and, for 'check', { existing } which reports the installed duct instead of sizing one.
+// rectResult is the side solved against the fixed design.rectSide.
+export const sizeDuct = (cfm, design, opts = DEFAULT_FRICTION_OPTS) => {
+  if (design.mode === 'check') {
+    const checked = checkExistingDuct(cfm, design.existing, opts);
+    return {
+      dia: checked.de,
+      velocity: checked.velocity,
+      friction: checked.friction,
+      rectResult: checked.de > 0 && design.rectSide > 0 ? solveRectDimension(checked.de, design.rectSide) : 0
+    };
+  }
+  let dia;
+  if (design.mode === 'friction') dia = solveDiaByFriction(cfm, design.friction, opts);
+  else if (design.mode === 'regain') dia = solveDiaByStaticRegain(cfm, design.upstreamVelocity, design, opts);
+  else dia = solveDiaByVelocity(cfm, design.velocity);
+  return {
+    dia,
+    velocity: design.mode === 'velocity' ? design.velocity : calcVelocity(cfm, dia),
+    friction: design.mode === 'friction' ? design.friction : calcFriction(cfm, dia, opts),
+    rectResult: dia > 0 && design.rectSide > 0 ? solveRectDimension(dia, design.rectSide) : 0
+  };
+};
+
+// --- DUCT SYSTEM (segment tree from the air handler to terminals) ---
+// segments: [{ id, name, parentId (null = air handler), cfm, length (ft) }]
+export const analyzeDuctSystem = (segments, design, opts = DEFAULT_FRICTION_OPTS) => {
+  const byId = new Map();
+  segments.forEach((seg) => {
+    // Static regain sizes each segment from its parent's velocity (parents precede children).
+    // Check mode describes one installed duct, so the tree is sized by equal friction instead.
+    const parent = byId.get(seg.parentId);
+    let segDesign = design;
+    if (design.mode === 'regain') {
+      segDesign = { ...design, upstreamVelocity: parent ? parent.velocity : design.upstreamVelocity, length: seg.length, fittings: [] };
+    } else if (design.mode === 'check') {
+      segDesign = { ...design, mode: 'friction' };
+    }
+    const sized = sizeDuct(seg.cfm, segDesign, opts);
+    byId.set(seg.id, { ...seg, ...sized, loss: (sized.friction * seg.length) / 100 });
+  });
+  const childrenOf = (id) => segments.filter((seg) => seg.parentId === id);
+
+  const sizedSegments = segments.map((seg) => {
+    const branchCfm = childrenOf(seg.id).reduce((sum, child) => sum + child.cfm, 0);
+    return { ...byId.get(seg.id), flowMismatch: branchCfm > seg.cfm + 0.5 };
+  });
+
+  // Walk every terminal back to the air handler, summing straight-duct losses
+  const paths = segments
+    .filter((seg) => childrenOf(seg.id).length === 0)
+    .map((terminal) => {
+      const segmentIds = [];
+      let node = byId.get(terminal.id);
+      while (node && !segmentIds.includes(node.id)) {
+        segmentIds.unshift(node.id);
+        node = byId.get(node.parentId);
+      }
+      const loss = segmentIds.reduce((sum, id) => sum + byId.get(id).loss, 0);
+      return { terminalId: terminal.id, segmentIds, loss };
+    });
+
+  const critical = paths.reduce((max, path) => (!max || path.loss > max.loss ? path : max), null);
+  return { segments: sizedSegments, paths, critical, totalStatic: critical ? critical.loss : 0 };
+};
+
+// --- SHEET METAL CONSTRUCTION (simplified from SMACNA HVAC Duct Construction Standards) ---
+// Static pressure classes in in.wg (± for ½"–3", positive only above)
+export const PRESSURE_CLASSES = [
+  { value: 0.5, label: '±½"', pa: 125 },
+  { value: 1, label: '±1"', pa: 250 },
+  { value: 2, label: '±2"', pa: 500 },
+  { value: 3, label: '±3"', pa: 750 },
+  { value: 4, label: '+4"', pa: 1000 },
+  { value: 6, label: '+6"', pa: 1500 },
+  { value: 10, label: '+10"', pa: 2500 }
+];
+
+// Selector / report label: ±2" w.g. in IP, ±500 Pa in SI
+export const pressureClassLabel = (pc, units) => (units === 'SI' ? `${pc.label.charAt(0)}${pc.pa} Pa` : `${pc.label} w.g.`);
+
+// Minimum galvanized gauge by largest dimension [max inches, gauge]
+const RECT_GAUGE_TABLE = {
+  0.5: [[12, 26], [30, 24], [54, 22], [84, 20], [Infinity, 18]],
+  1: [[12, 26], [30, 24], [54, 22], [84, 20], [Infinity, 18]],
+  2: [[12, 26], [30, 24], [54, 22], [84, 20], [Infinity, 18]],
+  3: [[12, 24], [30, 22], [54, 20], [84, 18], [Infinity, 16]],
+  4: [[12, 22], [30, 20], [54, 18], [84, 16], [Infinity, 16]],
+  6: [[12, 22], [30, 20], [54, 18], [84, 16], [Infinity, 16]],
+  10: [[12, 20], [30, 18], [54, 16], [84, 16], [Infinity, 14]]
+};
+
+// Reinforcement class at 5 ft spacing by largest dimension [max inches, class]
+const RECT_REINFORCEMENT_TABLE = {
+  0.5: [[20, 'None'], [30, 'B'], [42, 'C'], [54, 'D'], [72, 'E'], [96, 'F'], [Infinity, 'G']],
+  1: [[18, 'None'], [26, 'B'], [36, 'C'], [48, 'D'], [60, 'E'], [84, 'F'], [Infinity, 'H']],
+  2: [[14, 'None'], [22, 'C'], [30, 'D'], [42, 'E'], [54, 'F'], [72, 'G'], [Infinity, 'H']],
+  3: [[12, 'None'], [20, 'C'], [28, 'D'], [36, 'E'], [48, 'F'], [60, 'G'], [Infinity, 'I']],
+  4: [[10, 'None'], [18, 'D'], [24, 'E'], [36, 'F'], [48, 'G'], [60, 'H'], [Infinity, 'J']],
+  6: [[10, 'None'], [16, 'D'], [22, 'E'], [30, 'F'], [42, 'H'], [54, 'I'], [Infinity, 'J']],
+  10: [[8, 'None'], [14, 'E'], [20, 'F'], [26, 'G'], [36, 'H'], [48, 'J'], [Infinity, 'K']]
+};
+
+// Spiral / longitudinal seam round duct, positive pressure up to 2" and up to 10"
+const ROUND_GAUGE_TABLE = {
+  low: [[8, 28], [14, 26], [26, 24], [36, 22], [50, 20], [60, 18], [Infinity, 16]],
+  high: [[8, 26], [14, 24], [26, 22], [36, 20], [50, 18], [60, 16], [Infinity, 16]]
+};
+
+// Galvanized sheet: nominal thickness (in) and weight (lb/ft²)
+export const SHEET_GAUGES = {
+  28: { thickness: 0.0187, weight: 0.781 },
+  26: { thickness: 0.0217, weight: 0.906 },
+  24: { thickness: 0.0276, weight: 1.156 },
+  22: { thickness: 0.0336, weight: 1.406 },
+  20: { thickness: 0.0396, weight: 1.656 },
+  18: { thickness: 0.0516, weight: 2.156 },
+  16: { thickness: 0.0635, weight: 2.656 },
+  14: { thickness: 0.0785, weight: 3.281 }
+};
+
+// Seams, laps and connectors added to the flat surface area for sheet weight
+export const SEAM_ALLOWANCE = 0.1;
+
+const lookupBand = (table, value) => table.find(([max]) => value <= max)[1];
+
+// duct: { shape: 'round' | 'rect', dia, width, height } in inches; length in ft; insulation thickness in inches
+export const calcMaterialTakeoff = (duct, lengthFt, pressureClass, insulationIn = 0) => {
+  const isRect = duct.shape === 'rect';
+  const maxDim = isRect ? Math.max(duct.width, duct.height) : duct.dia;
+  const gauge = isRect
+    ? lookupBand(RECT_GAUGE_TABLE[pressureClass] || RECT_GAUGE_TABLE[2], maxDim)
+    : lookupBand(pressureClass <= 2 ? ROUND_GAUGE_TABLE.low : ROUND_GAUGE_TABLE.high, maxDim);
+  const reinforcement = isRect ? lookupBand(RECT_REINFORCEMENT_TABLE[pressureClass] || RECT_REINFORCEMENT_TABLE[2], maxDim) : 'None';
+  const perimeter = isRect ? 2 * (duct.width + duct.height) : Math.PI * duct.dia; // inches
+  const wrapPerimeter = isRect
+    ? 2 * (duct.width + duct.height + 4 * insulationIn)
+    : Math.PI * (duct.dia + 2 * insulationIn);
+  const surfaceArea = (perimeter / 12) * lengthFt; // ft²
+  return {
+    gauge,
+    reinforcement,
+    thickness: SHEET_GAUGES[gauge].thickness,
+    surfaceArea,
+    weight: surfaceArea * (1 + SEAM_ALLOWANCE) * SHEET_GAUGES[gauge].weight,
+    linerArea: surfaceArea,
+    wrapArea: (wrapPerimeter / 12) * lengthFt
+  };
+};
+
+// --- DUCT HEAT TRANSFER (ASHRAE Fundamentals, Ch. 23) ---
+// Combined inside and still-air outside film resistance, h·ft²·°F/Btu
+const SURFACE_FILM_R = 0.85;
+
+// duct: { shape, dia, width, height } in inches; temperatures in °F; rValue in h·ft²·°F/Btu.
+// y = 2.4 A V ρ / (U P L), t_leaving = [t_e (y - 1) + 2 t_a] / (y + 1); q > 0 is heat gained by the air
+export const calcDuctHeatTransfer = (duct, cfm, lengthFt, enteringF, ambientF, rValue, air = STANDARD_AIR) => {
+  const isRect = duct.shape === 'rect';
+  const area = isRect ? duct.width * duct.height : (Math.PI * duct.dia * duct.dia) / 4; // in²
+  const perimeter = isRect ? 2 * (duct.width + duct.height) : Math.PI * duct.dia; // in
+  const u = 1 / (Math.max(0, rValue) + SURFACE_FILM_R);
+  if (area <= 0 || cfm <= 0 || lengthFt <= 0) return { u, leavingF: enteringF, deltaT: 0, q: 0 };
+  const fpm = cfm / (area / 144);
+  const y = (2.4 * area * fpm * air.density) / (u * perimeter * lengthFt);
+  const leavingF = (enteringF * (y - 1) + 2 * ambientF) / (y + 1);
+  return {
+    u,
+    leavingF,
+    deltaT: leavingF - enteringF,
+    q: 60 * air.density * cfm * 0.24 * (leavingF - enteringF) // Btu/h
+  };
+};
+
+// --- DUCT LEAKAGE (SMACNA HVAC Air Duct Leakage Test Manual) ---
+// Leakage class CL (cfm/100 ft² at 1 in.wg) expected for each seal class
+export const SEAL_CLASSES = [
+  { id: 'A', label: 'Seal Class A', round: 3, rect: 6 },
+  { id: 'B', label: 'Seal Class B', round: 6, rect: 12 },
+  { id: 'C', label: 'Seal Class C', round: 12, rect: 24 },
+  { id: 'unsealed', label: 'Unsealed', round: 30, rect: 48 }
+];
+
+// F = CL × P^0.65 in cfm per 100 ft² of duct surface
+export const calcAllowableLeakage = (leakageClass, testPressure, surfaceAreaSqFt) => {
+  if (leakageClass <= 0 || testPressure <= 0 || surfaceAreaSqFt <= 0) return 0;
+  return (leakageClass * Math.pow(testPressure, 0.65) * surfaceAreaSqFt) / 100;
+};
+
+// readings: [{ id, section, length (ft), measured (cfm, null until tested) }]; perimeter in inches.
+// Sections without a reading have pass: null and stay out of the totals; the overall pass is
+// null until at least one section has been tested.
+export const evaluateLeakTest = (readings, { leakageClass, testPressure, perimeterIn }) => {
+  const sections = readings.map((reading) => {
+    const surfaceArea = (perimeterIn / 12) * reading.length;
+    const allowable = calcAllowableLeakage(leakageClass, testPressure, surfaceArea);
+    const tested = Number.isFinite(reading.measured);
+    return { ...reading, surfaceArea, allowable, pass: tested ? reading.measured <= allowable : null };
+  });
+  const tested = sections.filter((s) => s.pass !== null);
+  const allowable = tested.reduce((sum, s) => sum + s.allowable, 0);
+  const measured = tested.reduce((sum, s) => sum + s.measured, 0);
+  return { sections, tested: tested.length, allowable, measured, pass: tested.length ? tested.every((s) => s.pass) : null };
+};
+
+// --- APPLICATION PROFILES & DUCT NOISE (ASHRAE Applications, Ch. 49) ---
+// Recommended ranges: velocity in fpm, friction in in.wg/100ft
+export const APPLICATION_PROFILES = [
+  { id: 'residential', label: 'Residential', velocity: [500, 900], friction: [0.05, 0.1], nc: 25 },
+  { id: 'privateOffice', label: 'Private Office', velocity: [600, 1000], friction: [0.06, 0.1], nc: 30 },
+  { id: 'openOffice', label: 'Open Office', velocity: [800, 1500], friction: [0.08, 0.15], nc: 40 },
+  { id: 'classroom', label: 'Classroom', velocity: [600, 1100], friction: [0.06, 0.1], nc: 30 },
+  { id: 'hospital', label: 'Hospital Patient Room', velocity: [500, 1000], friction: [0.05, 0.1], nc: 30 },
+  { id: 'studio', label: 'Recording Studio', velocity: [300, 500], friction: [0.02, 0.05], nc: 15 },
+  { id: 'industrial', label: 'Industrial', velocity: [1500, 3000], friction: [0.1, 0.3], nc: 55 },
+  { id: 'mainTrunk', label: 'Main Trunk', velocity: [1000, 2000], friction: [0.08, 0.15], nc: 40 },
+  { id: 'branch', label: 'Branch Duct', velocity: [600, 1200], friction: [0.06, 0.1], nc: 35 }
+];
+
+export const getProfile = (id) => APPLICATION_PROFILES.find((p) => p.id === id) || APPLICATION_PROFILES[2];
+
+// 'low' | 'ok' | 'high' against a [min, max] range
+export const classifyRange = (value, [min, max]) => (value > max ? 'high' : value < min ? 'low' : 'ok');
+
+const OCTAVE_BANDS = [63, 125, 250, 500, 1000, 2000, 4000, 8000];
+
+// NC curves, sound pressure level per octave band (ANSI S12.2)
+const NC_CURVES = [
+  [15, [47, 36, 29, 22, 17, 14, 12, 11]],
+  [20, [51, 40, 33, 26, 22, 19, 17, 16]],
+  [25, [54, 44, 37, 31, 27, 24, 22, 21]],
+  [30, [57, 48, 41, 35, 31, 29, 28, 27]],
+  [35, [60, 52, 45, 40, 36, 34, 33, 32]],
+  [40, [64, 56, 50, 45, 41, 39, 38, 37]],
+  [45, [67, 60, 54, 49, 46, 44, 43, 42]],
+  [50, [71, 64, 58, 54, 51, 49, 48, 47]],
+  [55, [74, 67, 62, 58, 56, 54, 53, 52]],
+  [60, [77, 71, 67, 63, 61, 59, 58, 57]],
+  [65, [80, 75, 71, 68, 66, 64, 63, 62]]
+];
+
+// Typical room effect between in-duct sound power and occupied-zone sound pressure
+const ROOM_ATTENUATION_DB = 10;
+
+// Regenerated straight-duct noise (VDI 2081): Lw = 7 + 50 lg v + 10 lg A, shaped per octave
+export const estimateDuctNoise = (fpm, areaSqFt) => {
+  if (fpm <= 0 || areaSqFt <= 0) return { bands: [], overall: 0 };
+  const v = fpm / M_S_TO_FPM;
+  const area = areaSqFt / M2_TO_SQFT;
+  const overall = 7 + 50 * Math.log10(v) + 10 * Math.log10(area);
+  const bands = OCTAVE_BANDS.map((hz) => {
+    const lw = overall - 2 - 26 * Math.log10(1.15 + (0.02 * hz) / v);
+    return { hz, lw, lp: lw - ROOM_ATTENUATION_DB };
+  });
+  return { bands, overall };
+};
+
+// NC rating: the highest band-by-band tangency against the interpolated NC curves
+export const estimateNC = (bands) => {
+  if (!bands.length) return 0;
+  return Math.max(...bands.map((band, i) => {
+    const curve = NC_CURVES.map(([nc, levels]) => [levels[i], nc]);
+    if (band.lp <= curve[0][0]) return curve[0][1];
+    const last = curve[curve.length - 1];
+    if (band.lp >= last[0]) return last[1] + (band.lp - last[0]);
+    return interpolate(curve, band.lp);
+  }));
+};
+
+// --- FITTINGS (ASHRAE Duct Fitting Database / Idelchik) ---
+// Linear interpolation over [[x, y], ...] tables, clamped to the table ends
+const interpolate = (table, x) => {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x1, y1] = table[i];
+    if (x <= x1) {
+      const [x0, y0] = table[i - 1];
+      return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  return table[table.length - 1][1];
+};
+
+const ELBOW_ANGLE_FACTOR = [[0, 0], [20, 0.31], [30, 0.45], [45, 0.6], [60, 0.78], [75, 0.9], [90, 1], [110, 1.13], [130, 1.2], [150, 1.28], [180, 1.4]];
+const ROUND_ELBOW_CP = [[0.5, 0.71], [0.75, 0.33], [1, 0.22], [1.5, 0.15], [2, 0.13], [2.5, 0.12]];
+const RECT_ELBOW_CP = [[0.5, 1.2], [0.75, 0.44], [1, 0.21], [1.5, 0.17], [2, 0.15]]; // H/W = 1
+const MITER_ELBOW_C = [[20, 0.08], [30, 0.16], [45, 0.34], [60, 0.55], [75, 0.81], [90, 1.2]];
+const BUTTERFLY_DAMPER_C = [[0, 0.2], [10, 0.52], [20, 1.5], [30, 4.5], [40, 11], [50, 29], [60, 108]];
+const DIFFUSER_ANGLE_FACTOR = [[0, 0], [10, 0.19], [20, 0.4], [30, 0.6], [45, 0.85], [60, 1], [180, 1]];
+const REDUCER_C = [[10, 0.05], [45, 0.05], [60, 0.07], [90, 0.19], [180, 0.5]];
+const TAKEOFF_C = { straight: 1.0, conical: 0.65, angled: 0.5 };
+
+// Every coefficient is referenced to the velocity pressure of the sized duct
+export const FITTINGS = [
+  {
+    id: 'elbowRound', ref: 'CD3-1', label: 'Elbow, Round, Smooth Radius',
+    params: [
+      { key: 'rD', label: 'r/D', min: 0.5, max: 2.5, step: 0.25, default: 1.5 },
+      { key: 'angle', label: 'Angle°', min: 0, max: 180, step: 15, default: 90 }
+    ],
+    coefficient: ({ rD, angle }) => interpolate(ROUND_ELBOW_CP, rD) * interpolate(ELBOW_ANGLE_FACTOR, angle)
+  },
+  {
+    id: 'elbowMiter', ref: 'CD3-17', label: 'Elbow, Round, Mitered',
+    params: [{ key: 'angle', label: 'Angle°', min: 20, max: 90, step: 5, default: 90 }],
+    coefficient: ({ angle }) => interpolate(MITER_ELBOW_C, angle)
+  },
+  {
+    id: 'elbowRect', ref: 'CR3-1', label: 'Elbow, Rect, Smooth Radius',
+    params: [
+      { key: 'rW', label: 'r/W', min: 0.5, max: 2, step: 0.25, default: 1 },
+      { key: 'angle', label: 'Angle°', min: 0, max: 180, step: 15, default: 90 }
+    ],
+    coefficient: ({ rW, angle }) => interpolate(RECT_ELBOW_CP, rW) * interpolate(ELBOW_ANGLE_FACTOR, angle)
+  },
+  {
+    id: 'elbowVanes', ref: 'ASHRAE', label: 'Elbow, Rect, Mitered w/ Vanes',
+    params: [],
+    coefficient: () => 0.11
+  },
+  {
+    id: 'teeBranch', ref: 'Idelchik', label: 'Tee / Wye, Diverging Branch',
+    params: [
+      { key: 'angle', label: 'Angle°', min: 30, max: 90, step: 15, default: 90 },
+      { key: 'qRatio', label: 'Qb/Qc', min: 0.1, max: 1, step: 0.05, default: 0.5 },
+      { key: 'aRatio', label: 'Ab/Ac', min: 0.1, max: 1, step: 0.05, default: 0.5 }
+    ],
+    // ζ = 1 + r² - 2r·cos α on the common VP, restated on the branch VP (r = Vb/Vc)
+    coefficient: ({ angle, qRatio, aRatio }) => {
+      const r = aRatio > 0 ? qRatio / aRatio : 0;
+      if (!(r > 0)) return 0; // no branch flow, no branch loss
+      return (1 + r * r - 2 * r * Math.cos((angle * Math.PI) / 180)) / (r * r);
+    }
+  },
+  {
+    id: 'teeMain', ref: 'Idelchik', label: 'Tee / Wye, Straight-Through Main',
+    params: [
+      { key: 'qRatio', label: 'Qs/Qc', min: 0.1, max: 1, step: 0.05, default: 0.7 },
+      { key: 'aRatio', label: 'As/Ac', min: 0.1, max: 1, step: 0.05, default: 1 }
+    ],
+    coefficient: ({ qRatio, aRatio }) => {
+      const r = aRatio > 0 ? qRatio / aRatio : 0;
+      if (!(r > 0)) return 0;
+      return (0.4 * Math.pow(1 - r, 2)) / (r * r);
+    }
+  },
+  {
+    id: 'takeoff', ref: 'SMACNA', label: 'Branch Takeoff',
+    params: [{
+      key: 'style', label: 'Style', default: 'conical',
+      options: [{ value: 'straight', label: 'Straight tap' }, { value: 'conical', label: 'Conical spin-in' }, { value: 'angled', label: '45° entry' }]
+    }],
+    coefficient: ({ style }) => TAKEOFF_C[style] ?? TAKEOFF_C.straight
+  },
+  {
+    id: 'expansion', ref: 'Idelchik', label: 'Transition, Expansion',
+    params: [
+      { key: 'aRatio', label: 'A1/A0', min: 1, max: 4, step: 0.25, default: 1.5 },
+      { key: 'angle', label: 'Angle°', min: 10, max: 180, step: 5, default: 30 }
+    ],
+    coefficient: ({ aRatio, angle }) => interpolate(DIFFUSER_ANGLE_FACTOR, angle) * Math.pow(1 - 1 / aRatio, 2)
+  },
+  {
+    id: 'contraction', ref: 'Idelchik', label: 'Transition, Contraction',
+    params: [{ key: 'angle', label: 'Angle°', min: 10, max: 180, step: 5, default: 45 }],
+    coefficient: ({ angle }) => interpolate(REDUCER_C, angle)
+  },
+  {
+    id: 'damperButterfly', ref: 'CD9-1', label: 'Damper, Butterfly',
+    params: [{ key: 'angle', label: 'Blade°', min: 0, max: 60, step: 5, default: 0 }],
+    coefficient: ({ angle }) => interpolate(BUTTERFLY_DAMPER_C, angle)
+  },
+  {
+    id: 'damperFire', ref: 'CD9-3', label: 'Damper, Fire (Curtain Out of Airstream)',
+    params: [],
+    coefficient: () => 0.12
+  }
+];
+
+export const getFitting = (id) => FITTINGS.find((f) => f.id === id) || FITTINGS[0];
+
+export const fittingDefaults = (fitting) =>
+  fitting.params.reduce((acc, p) => ({ ...acc, [p.key]: p.default }), {});
+
+// Keeps a numeric parameter inside its catalog range; blank or invalid input takes the default.
+// Inputs keep what was typed, so this runs at calculation time and when a field loses focus.
+export const clampFittingParam = (param, value) => {
+  if (param.options) return value;
+  const num = value === '' ? NaN : Number(value);
+  return Number.isFinite(num) ? Math.min(param.max, Math.max(param.min, num)) : param.default;
+};
+
+// Attached fittings: [{ uid, fittingId, qty, params }] → loss in in.wg at the duct velocity
+export const calcFittingsLoss = (attached, fpm, air = STANDARD_AIR) => {
+  const vp = calcVelocityPressure(fpm, air);
+  const items = attached.map((item) => {
+    const fitting = getFitting(item.fittingId);
+    const params = { ...fittingDefaults(fitting), ...item.params };
+    const c = fitting.coefficient(Object.fromEntries(fitting.params.map((p) => [p.key, clampFittingParam(p, params[p.key])])));
+    return { ...item, fitting, c, loss: c * vp * item.qty };
+  });
+  return { items, total: items.reduce((sum, item) => sum + item.loss, 0) };
+};
+
+// --- DELIMITED TEXT (CSV files and spreadsheet pastes) ---
+// Splits one delimited line, honouring double quotes ("" is a literal quote) so tags
+// exported with commas in them read back as a single cell
+const splitDelimitedLine = (line, delimiters) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (delimiters.includes(ch)) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Whole-cell numbers only; "1,200" and "1 200" thousands grouping is accepted, or with
+// decimalComma "1,25" reads as 1.25. Anything else (units, stray text) gives NaN instead
+// of a truncated value
+const parseNumberCell = (cell, decimalComma = false) => {
+  const text = (cell ?? '').replace(/\s/g, '');
+  const plain = decimalComma
+    ? text.replace(/^([-+]?\d*),(\d+)$/, '$1.$2')
+    : /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text;
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(plain) ? Number(plain) : NaN;
+};
+
+// One delimiter per file: tabs for spreadsheet pastes, semicolons for CSV written with
+// decimal commas (European spreadsheet exports), commas otherwise
+const detectDelimiter = (lines) => {
+  if (lines.some((line) => line.includes('\t'))) return '\t';
+  const first = lines.find((line) => line.trim()) || '';
+  return first.includes(';') ? ';' : ',';
+};
+
+// --- FAN & SYSTEM CURVES ---
+// Duct pressure drop at any airflow: calcFriction over the run, fittings at their velocity
+// pressure, and extra losses (coils, filters, terminals) scaled by (Q / Qdesign)².
+// run: { dia, length, fittings, extraLoss, designCfm } in native IP
+export const calcSystemPressure = (cfm, run, opts = DEFAULT_FRICTION_OPTS) => {
+  if (cfm <= 0 || run.dia <= 0) return 0;
+  const air = opts.air || STANDARD_AIR;
+  const straight = (calcFriction(cfm, run.dia, opts) * run.length) / 100;
+  const fittingLoss = calcFittingsLoss(run.fittings || [], calcVelocity(cfm, run.dia), air).total;
+  const extra = run.designCfm > 0 ? run.extraLoss * Math.pow(cfm / run.designCfm, 2) : 0;
+  return straight + fittingLoss + extra;
+};
+
+// Fan points [{ cfm, sp }] → static pressure at cfm, or NaN outside the curve
+export const calcFanPressure = (points, cfm) => {
+  const sorted = [...points].sort((a, b) => a.cfm - b.cfm);
+  if (sorted.length < 2 || cfm < sorted[0].cfm || cfm > sorted[sorted.length - 1].cfm) return NaN;
+  return interpolate(sorted.map((p) => [p.cfm, p.sp]), cfm);
+};
+
+// Intersection of a falling fan curve with the rising system curve, or null when they never cross
+export const solveOperatingPoint = (points, systemFn) => {
+  const sorted = [...points].sort((a, b) => a.cfm - b.cfm);
+  if (sorted.length < 2) return null;
+  const gap = (cfm) => calcFanPressure(sorted, cfm) - systemFn(cfm);
+  let lo = sorted[0].cfm;
+  let hi = sorted[sorted.length - 1].cfm;
+  if (gap(lo) < 0 || gap(hi) > 0) return null;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (gap(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+  const cfm = (lo + hi) / 2;
+  return { cfm, sp: systemFn(cfm) };
+};
+
+// Two numeric columns (airflow, static pressure) in the units shown, delimited like batch
+// lists; a header row is skipped and unreadable lines are reported rather than dropped silently
+export const parseFanCurveCsv = (text) => {
+  const lines = text.split(/\r?\n/);
+  const delimiter = detectDelimiter(lines);
+  const points = [];
+  const skipped = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const cells = splitDelimitedLine(line, [delimiter]);
+    const cfm = parseNumberCell(cells[0], delimiter === ';');
+    const sp = parseNumberCell(cells[1], delimiter === ';');
+    if (!Number.isFinite(cfm) || !Number.isFinite(sp)) {
+      if (points.length || skipped.length) skipped.push(`Line ${i + 1}: "${line.trim()}" is not an airflow, static pressure pair`);
+      return;
+    }
+    if (cfm < 0 || sp < 0) {
+      skipped.push(`Line ${i + 1}: airflow and static pressure cannot be negative`);
+      return;
+    }
+    points.push({ cfm, sp });
+  });
+  if (points.length < 2) throw new Error('Fan curve CSV needs at least two airflow, static pressure rows.');
+  return { points, skipped };
+};
+
+export const DEFAULT_FAN_CURVE = [
+  { id: 1, cfm: 0, sp: 1.6 },
+  { id: 2, cfm: 500, sp: 1.5 },
+  { id: 3, cfm: 1000, sp: 1.25 },
+  { id: 4, cfm: 1500, sp: 0.8 },
+  { id: 5, cfm: 2000, sp: 0 }
+];
+
+export const DEFAULT_SEGMENTS = [
+  { id: 1, name: 'Main Trunk', parentId: null, cfm: 2000, length: 40 },
+  { id: 2, name: 'Branch A', parentId: 1, cfm: 1200, length: 30 },
+  { id: 3, name: 'Branch B', parentId: 1, cfm: 800, length: 60 }
+];
+
+// --- FRICTION CHART (digital ductulator) ---
+// Chart domain in native IP units; both axes are logarithmic
+export const FRICTION_CHART_RANGE = { friction: [0.01, 2], airflow: [20, 20000] };
+
+// Isoline sizes and axis ticks in display units (IP: in, fpm, in.wg/100ft, CFM; SI: mm, m/s, Pa/m, CMH)
+const CHART_ISOLINES = {
+  IP: { diameters: [4, 6, 8, 10, 12, 16, 20, 24, 30, 36, 48], velocities: [400, 600, 800, 1000, 1500, 2000, 3000, 4000] },
+  SI: { diameters: [100, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250], velocities: [2, 3, 4, 5, 7.5, 10, 15, 20] }
+};
+const CHART_TICKS = {
+  IP: { friction: [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2], airflow: [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000] },
+  SI: { friction: [0.1, 0.2, 0.5, 1, 2, 5, 10], airflow: [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000] }
+};
+
+const logSpace = (min, max, count) => Array.from({ length: count }, (_, i) => min * Math.pow(max / min, i / (count - 1)));
+
+const tickLabel = (value) => (value >= 1000 ? `${value / 1000}k` : String(value));
+
+// Diameter and velocity isolines as native IP point lists, plus axis ticks, for the given unit system
+export const buildFrictionChart = (units, opts = DEFAULT_FRICTION_OPTS) => {
+  const si = units === 'SI';
+  const sizes = CHART_ISOLINES[si ? 'SI' : 'IP'];
+  const ticks = CHART_TICKS[si ? 'SI' : 'IP'];
+  const [fMin, fMax] = FRICTION_CHART_RANGE.friction;
+  const [qMin, qMax] = FRICTION_CHART_RANGE.airflow;
+  const inside = (p) => p.friction >= fMin && p.friction <= fMax && p.cfm >= qMin && p.cfm <= qMax;
+
+  const diameters = sizes.diameters.map((size) => {
+    const dia = si ? size * MM_TO_IN : size;
+    return {
+      label: si ? String(size) : `${size}"`,
+      points: logSpace(qMin, qMax, 40).map((cfm) => ({ cfm, friction: calcFriction(cfm, dia, opts) })).filter(inside)
+    };
+  });
+  const velocities = sizes.velocities.map((value) => {
+    const fpm = si ? value * M_S_TO_FPM : value;
+    return {
+      label: si ? `${value} m/s` : `${value} fpm`,
+      points: logSpace(2, 150, 48).map((dia) => {
+        const cfm = fpm * Math.PI * Math.pow(dia / 24, 2);
+        return { cfm, friction: calcFriction(cfm, dia, opts) };
+      }).filter(inside)
+    };
+  });
+  return {
+    diameters,
+    velocities,
+    ticks: {
+      friction: ticks.friction.map((v) => ({ value: si ? v * PA_M_TO_IN_100FT : v, label: tickLabel(v) })),
+      airflow: ticks.airflow.map((v) => ({ value: si ? v * CMH_TO_CFM : v, label: tickLabel(v) }))
+    }
+  };
+};
+
+// --- DESIGN RULE CHECK (SMACNA / ASHRAE) ---
+// Each rule is versioned; bump its version whenever its limits or logic change so
+// saved findings can be traced to the rule that produced them.
+export const DESIGN_RULESET_VERSION = '1.1';
+export const MAX_ASPECT_RATIO = 4;
+export const MIN_DUCT_DIMENSION_IN = 4;
+const LOW_PRESSURE_MAX_FPM = 2500; // ±½" to ±2" classes (SMACNA Table 1-1)
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const QUANTITY_FORMATS = {
+  velocity: { IP: [1, 0, 'fpm'], SI: [1 / M_S_TO_FPM, 1, 'm/s'] },
+  friction: { IP: [1, 2, 'in.wg/100ft'], SI: [1 / PA_M_TO_IN_100FT, 2, 'Pa/m'] },
+  length: { IP: [1, 1, 'in'], SI: [1 / MM_TO_IN, 0, 'mm'] },
+  pressure: { IP: [1, 3, 'in.wg'], SI: [1 / PA_TO_IN_WG, 0, 'Pa'] }
+};
+
+// Formats a native IP quantity in the requested unit system, e.g. "1,500 fpm"
+const formatQuantity = (kind, value, units) => {
+  const [factor, decimals, unit] = QUANTITY_FORMATS[kind][units === 'SI' ? 'SI' : 'IP'];
+  return `${(value * factor).toLocaleString(undefined, { maximumFractionDigits: decimals, minimumFractionDigits: decimals })} ${unit}`;
+};
+
+const finding = (rule, severity, message, fix) => ({ ruleId: rule.id, ruleVersion: rule.version, ref: rule.ref, severity, message, fix });
+
+// Input (native IP): { cfm, dia, rect: { width, height }, velocity, friction, velocityPressure,
+// runLoss, pressureClass, profile, estimatedNC, opts, units }
+export const DESIGN_RULES = [
+  {
+    id: 'aspect-ratio',
+    version: 1,
+    ref: 'SMACNA HVAC Duct Construction Standards, rectangular aspect ratio',
+    check(input) {
+      const { width, height } = input.rect;
+      if (!(width > 0 && height > 0)) return [];
+      const ratio = Math.max(width, height) / Math.min(width, height);
+      if (!(ratio > MAX_ASPECT_RATIO)) return [];
+      return [finding(this, 'warning',
+        `Rectangular aspect ratio 1:${ratio.toFixed(2)} exceeds 1:${MAX_ASPECT_RATIO}.`,
+        `Increase the ${formatQuantity('length', Math.min(width, height), input.units)} side or use round or flat oval duct.`
+      )];
+    }
+  },
+  {
+    id: 'application-velocity',
+    version: 1,
+    ref: 'ASHRAE Handbook—Applications, Ch. 49 (recommended duct velocities)',
+    check(input) {
+      const [min, max] = input.profile.velocity;
+      const status = classifyRange(input.velocity, input.profile.velocity);
+      if (status === 'high') {
+        return [finding(this, input.velocity > max * 1.25 ? 'error' : 'warning',
+          `Velocity ${formatQuantity('velocity', input.velocity, input.units)} is above the ${formatQuantity('velocity', max, input.units)} limit for ${input.profile.label}.`,
+          `Upsize to at least ${formatQuantity('length', solveDiaByVelocity(input.cfm, max), input.units)} round equivalent.`
+        )];
+      }
+      if (status === 'low') {
+        return [finding(this, 'info',
+          `Velocity ${formatQuantity('velocity', input.velocity, input.units)} is below the ${formatQuantity('velocity', min, input.units)} minimum for ${input.profile.label}.`,
+          `A duct down to ${formatQuantity('length', solveDiaByVelocity(input.cfm, min), input.units)} round equivalent would still meet the range.`
+        )];
+      }
+      return [];
+    }
+  },
+  {
+    id: 'friction-range',
+    version: 1,
+    ref: 'ASHRAE Handbook—Fundamentals, Ch. 21 (equal friction design)',
+    check(input) {
+      const [min, max] = input.profile.friction;
+      const status = classifyRange(input.friction, input.profile.friction);
+      if (status === 'high') {
+        return [finding(this, 'warning',
+          `Friction ${formatQuantity('friction', input.friction, input.units)} is above the ${formatQuantity('friction', max, input.units)} limit for ${input.profile.label}.`,
+          `Upsize to at least ${formatQuantity('length', solveDiaByFriction(input.cfm, max, input.opts), input.units)} round equivalent.`
+        )];
+      }
+      if (status === 'low') {
+        return [finding(this, 'info',
+          `Friction ${formatQuantity('friction', input.friction, input.units)} is below the ${formatQuantity('friction', min, input.units)} minimum for ${input.profile.label}.`,
+          `A duct down to ${formatQuantity('length', solveDiaByFriction(input.cfm, min, input.opts), input.units)} round equivalent saves sheet metal.`
+        )];
+      }
+      return [];
+    }
+  },
+  {
+    id: 'noise-criteria',
+    version: 1,
+    ref: 'ASHRAE Handbook—Applications, Ch. 49 (NC design guidelines)',
+    check(input) {
+      if (!(input.estimatedNC > input.profile.nc)) return [];
+      return [finding(this, 'warning',
+        `Estimated regenerated noise NC ${Math.round(input.estimatedNC)} exceeds the NC ${input.profile.nc} target for ${input.profile.label}.`,
+        'Lower the velocity by upsizing, or add lined duct or a silencer downstream.'
+      )];
+    }
+  },
+  {
+    id: 'minimum-dimension',
+    version: 1,
+    ref: 'SMACNA HVAC Duct Construction Standards, minimum duct size',
+    check(input) {
+      const dims = [['Round diameter', input.dia], ['Rectangular side', input.rect.width], ['Rectangular side', input.rect.height]];
+      const small = dims.filter(([, value]) => value > 0 && value < MIN_DUCT_DIMENSION_IN);
+      return small.map(([label, value]) => finding(this, 'warning',
+        `${label} ${formatQuantity('length', value, input.units)} is below the ${formatQuantity('length', MIN_DUCT_DIMENSION_IN, input.units)} minimum fabricated size.`,
+        `Use at least ${formatQuantity('length', MIN_DUCT_DIMENSION_IN, input.units)} and re-check velocity, or combine the terminal onto a larger branch.`
+      ));
+    }
+  },
+  {
+    id: 'pressure-class',
+    version: 2,
+    ref: 'SMACNA HVAC Duct Construction Standards, Table 1-1 (pressure classification)',
+    check(input) {
+      const findings = [];
+      const total = input.velocityPressure + input.runLoss;
+      const selected = PRESSURE_CLASSES.find((c) => c.value === input.pressureClass);
+      const classLabel = selected ? pressureClassLabel(selected, input.units) : formatQuantity('pressure', input.pressureClass, input.units);
+      if (!Number.isFinite(total)) {
+        findings.push(finding(this, 'error',
+          'Run pressure could not be calculated, so the pressure class cannot be verified.',
+          'Check airflow, run length and fitting parameters for blank or out-of-range values.'
+        ));
+      } else if (total > input.pressureClass) {
+        const next = PRESSURE_CLASSES.find((c) => c.value >= total);
+        findings.push(finding(this, 'error',
+          `Velocity pressure ${formatQuantity('pressure', input.velocityPressure, input.units)} plus run loss ${formatQuantity('pressure', input.runLoss, input.units)} exceeds the ${classLabel} pressure class.`,
+          next ? `Specify the ${pressureClassLabel(next, input.units)} pressure class or reduce the velocity.` : 'Reduce the velocity; the total exceeds the highest SMACNA class.'
+        ));
+      }
+      if (input.pressureClass <= 2 && input.velocity > LOW_PRESSURE_MAX_FPM) {
+        const medium = PRESSURE_CLASSES.find((c) => c.value === 3);
+        findings.push(finding(this, 'warning',
+          `Velocity ${formatQuantity('velocity', input.velocity, input.units)} exceeds ${formatQuantity('velocity', LOW_PRESSURE_MAX_FPM, input.units)}, the limit for the ${classLabel} class.`,
+          `Specify the ${pressureClassLabel(medium, input.units)} class or higher, or reduce the velocity.`
+        ));
+      }
+      return findings;
+    }
+  }
+];
+
+// Runs every rule and returns findings ordered by severity (errors first)
+export const checkDesignRules = (input, rules = DESIGN_RULES) => rules
+  .flatMap((rule) => rule.check(input))
+  .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+// --- BATCH SIZING ---
+// Reads pasted or uploaded terminal lists (tag, airflow, optional fixed rectangular
+// side) in the units shown. Tab-separated spreadsheet pastes, quoted CSV and semicolon
+// CSV with decimal commas all work; a header row is skipped and unreadable lines are
+// reported rather than dropped silently.
+export const parseBatchCsv = (text) => {
+  const rows = [];
+  const skipped = [];
+  const lines = text.split(/\r?\n/);
+  const delimiter = detectDelimiter(lines);
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const cells = splitDelimitedLine(line, [delimiter]);
+    const airflow = parseNumberCell(cells[1], delimiter === ';');
+    const side = cells[2] ? parseNumberCell(cells[2], delimiter === ';') : null;
+    if (!Number.isFinite(airflow)) {
+      if (rows.length || skipped.length) skipped.push(`Line ${i + 1}: airflow "${cells[1] ?? ''}" is not a number`);
+      return;
+    }
+    if (airflow <= 0) {
+      skipped.push(`Line ${i + 1}: airflow must be greater than zero`);
+      return;
+    }
+    if (side !== null && !(side > 0)) {
+      skipped.push(`Line ${i + 1}: fixed side "${cells[2]}" is not a positive number`);
+      return;
+    }
+    rows.push({ tag: cells[0] || `Row ${rows.length + 1}`, airflow, side });
+  });
+  if (!rows.length) throw new Error('No rows with a tag and numeric airflow were found.');
+  return { rows, skipped };
+};
+
+// Sizes one terminal at the current friction or velocity target. Regain and check
+// modes need an upstream run or an existing duct, so batches use equal friction there.
+export const sizeBatchRow = (row, design, opts = DEFAULT_FRICTION_OPTS) => {
+  const dia = design.mode === 'velocity'
+    ? solveDiaByVelocity(row.cfm, design.velocity)
+    : solveDiaByFriction(row.cfm, design.friction, opts);
+  const rectSide = row.side || design.rectSide;
+  return {
+    dia,
+    velocity: calcVelocity(row.cfm, dia),
+    friction: calcFriction(row.cfm, dia, opts),
+    rectSide,
+    rectResult: dia > 0 && rectSide > 0 ? solveRectDimension(dia, rectSide) : 0
+  };
+};
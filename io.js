@@ -0,0 +1,331 @@
+// Browser I/O: share links, project storage and file import/export, schedules and print pages.
+
+import {
+  DUCT_MATERIALS,
+  AIR_CONDITION_RANGES,
+  REGAIN_COEF_RANGE,
+  APPLICATION_PROFILES,
+  FITTINGS,
+  getFitting,
+  clampFittingParam
+} from './hvac.js';
+
+// --- SHAREABLE LINKS ---
+// Fittings travel as fittingId*qty*values in the fitting's parameter order, joined by "_",
+// e.g. elbowRound*2*1.5*90_damperButterfly*1*0; URLSearchParams leaves these unescaped
+const encodeFittings = (fittings) => fittings
+  .map((item) => [
+    item.fittingId,
+    item.qty,
+    ...getFitting(item.fittingId).params.map((p) => clampFittingParam(p, item.params[p.key]))
+  ].join('*'))
+  .join('_');
+
+// null when a fitting is unknown, a quantity is below one or a value is out of range
+const decodeFittings = (text) => {
+  const fittings = text.split('_').map((entry, i) => {
+    const [fittingId, qty, ...values] = entry.split('*');
+    const fitting = FITTINGS.find((f) => f.id === fittingId);
+    if (!fitting || values.length !== fitting.params.length || !(Number(qty) >= 1)) return null;
+    const valid = fitting.params.every((p, j) => (p.options
+      ? p.options.some((o) => o.value === values[j])
+      : values[j].trim() !== '' && Number(values[j]) >= p.min && Number(values[j]) <= p.max));
+    if (!valid) return null;
+    const params = Object.fromEntries(fitting.params.map((p, j) => [p.key, p.options ? values[j] : Number(values[j])]));
+    return { uid: i + 1, fittingId, qty: Number(qty), params };
+  });
+  return fittings.includes(null) ? null : fittings;
+};
+
+// Links carry native IP values so the same duct is restored whichever unit system
+// the reader uses. Optional parameters are only written when they differ from the
+// fallback, which keeps everyday links short.
+export const SHARE_LINK_PARAMS = {
+  units: { param: 'units', values: ['IP', 'SI'], fallback: 'IP' },
+  mode: { param: 'mode', values: ['friction', 'velocity', 'regain', 'check'], fallback: 'friction' },
+  airflowIP: { param: 'cfm', range: [10, 100000], fallback: 1000 },
+  frictionIP: { param: 'friction', range: [0.01, 5], fallback: 0.1 },
+  velocityIP: { param: 'fpm', range: [100, 10000], fallback: 1200 },
+  rectSideIP: { param: 'side', range: [2, 200], fallback: 12 },
+  upstreamVelocityIP: { param: 'upfpm', range: [100, 10000], fallback: 2000, optional: true },
+  regainCoef: { param: 'regain', range: REGAIN_COEF_RANGE, fallback: 0.75, optional: true },
+  existingShape: { param: 'shape', values: ['round', 'rect'], fallback: 'round', optional: true },
+  existingDiaIP: { param: 'dia', range: [2, 200], fallback: 12, optional: true },
+  existingWidthIP: { param: 'w', range: [2, 200], fallback: 20, optional: true },
+  existingHeightIP: { param: 'h', range: [2, 200], fallback: 10, optional: true },
+  checkLimit: { param: 'limit', values: ['friction', 'velocity'], fallback: 'friction', optional: true },
+  materialId: { param: 'material', values: DUCT_MATERIALS.map((m) => m.id), fallback: 'galv', optional: true },
+  frictionMethod: { param: 'method', values: ['darcy', 'chart'], fallback: 'darcy', optional: true },
+  profileId: { param: 'app', values: APPLICATION_PROFILES.map((p) => p.id), fallback: 'openOffice', optional: true },
+  elevationFt: { param: 'elev', range: AIR_CONDITION_RANGES.elevationFt, fallback: 0, optional: true },
+  airTempF: { param: 'temp', range: AIR_CONDITION_RANGES.tempF, fallback: 70, optional: true },
+  humidity: { param: 'rh', range: AIR_CONDITION_RANGES.rh, fallback: 0, optional: true },
+  // Static regain sizes against the run, so the run travels with the link
+  runLengthFt: { param: 'run', range: [0, 10000], fallback: 100, optional: true },
+  fittings: { param: 'fit', fallback: [], optional: true, encode: encodeFittings, decode: decodeFittings }
+};
+
+// Reads a query string; anything missing, malformed or out of range takes its fallback
+export const parseShareLink = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(Object.entries(SHARE_LINK_PARAMS).map(([key, spec]) => {
+    const raw = params.get(spec.param);
+    if (spec.decode) return [key, (raw && spec.decode(raw)) || spec.fallback];
+    if (spec.values) return [key, spec.values.includes(raw) ? raw : spec.fallback];
+    const num = raw === null || raw.trim() === '' ? NaN : Number(raw);
+    const valid = Number.isFinite(num) && num >= spec.range[0] && num <= spec.range[1];
+    return [key, valid ? num : spec.fallback];
+  }));
+};
+
+export const buildShareQuery = (state) => {
+  const params = new URLSearchParams();
+  Object.entries(SHARE_LINK_PARAMS).forEach(([key, spec]) => {
+    const value = state[key];
+    if (value === undefined) return;
+    if (spec.encode) {
+      const text = spec.encode(value);
+      if (!spec.optional || text !== spec.encode(spec.fallback)) params.set(spec.param, text);
+      return;
+    }
+    if (spec.optional && value === spec.fallback) return;
+    params.set(spec.param, typeof value === 'number' ? String(Number(value.toPrecision(6))) : value);
+  });
+  return params.toString();
+};
+
+// --- PROJECT PERSISTENCE ---
+const PROJECTS_STORAGE_KEY = 'ductmaster.projects';
+export const PROJECT_FILE_FORMAT = 'ductmaster-projects';
+export const PROJECT_FILE_VERSION = 1;
+
+// Field checks mirroring what App's captureInputs / captureResults write
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const oneOf = (values) => (value) => values.includes(value);
+const isFittingList = (value) => Array.isArray(value) && value.every((item) => isObject(item)
+  && isNumber(item.uid)
+  && FITTINGS.some((fitting) => fitting.id === item.fittingId)
+  && isNumber(item.qty) && item.qty >= 0
+  && isObject(item.params)
+  && Object.values(item.params).every((param) => isNumber(param) || typeof param === 'string'));
+
+const DUCT_UNITS = ['IP', 'SI'];
+const DUCT_MODES = ['friction', 'velocity', 'regain', 'check'];
+const DUCT_INPUT_CHECKS = {
+  airflowIP: isNumber,
+  frictionIP: isNumber,
+  velocityIP: isNumber,
+  rectSideIP: isNumber,
+  ovalMinorIP: isNumber,
+  upstreamVelocityIP: isNumber,
+  regainCoef: isNumber,
+  existingShape: oneOf(['round', 'rect']),
+  existingDiaIP: isNumber,
+  existingWidthIP: isNumber,
+  existingHeightIP: isNumber,
+  checkLimit: oneOf(['friction', 'velocity']),
+  materialId: oneOf(DUCT_MATERIALS.map((m) => m.id)),
+  frictionMethod: oneOf(['darcy', 'chart']),
+  profileId: oneOf(APPLICATION_PROFILES.map((p) => p.id)),
+  elevationFt: isNumber,
+  airTempF: isNumber,
+  humidity: isNumber,
+  runLengthFt: isNumber,
+  fittings: isFittingList
+};
+const DUCT_RESULT_KEYS = ['dia', 'velocity', 'friction', 'rectSide', 'rectResult', 'ovalMinor', 'ovalMajor', 'runLoss'];
+
+// Returns why a stored duct entry is unusable, or null when it is well formed.
+// Inputs may be missing (older saves); present ones must have the right type.
+const ductProblem = (duct) => {
+  if (!isObject(duct) || typeof duct.name !== 'string') return 'missing name';
+  if (!DUCT_UNITS.includes(duct.units)) return `units "${duct.units}" is not IP or SI`;
+  if (!DUCT_MODES.includes(duct.mode)) return `mode "${duct.mode}" is not recognized`;
+  if (!isObject(duct.inputs)) return 'missing inputs';
+  const badInput = Object.keys(DUCT_INPUT_CHECKS)
+    .find((key) => duct.inputs[key] !== undefined && !DUCT_INPUT_CHECKS[key](duct.inputs[key]));
+  if (badInput) return `inputs.${badInput} has an invalid value`;
+  if (!isObject(duct.results)) return 'missing results';
+  // Results that were NaN are stored by JSON as null
+  const badResult = DUCT_RESULT_KEYS
+    .find((key) => duct.results[key] !== undefined && duct.results[key] !== null && !isNumber(duct.results[key]));
+  if (badResult) return `results.${badResult} is not a number`;
+  return null;
+};
+
+const pick = (source, keys) => Object.fromEntries(keys.filter((key) => source[key] !== undefined).map((key) => [key, source[key]]));
+
+// Keeps well-formed projects and ducts (known fields only) and lists what was dropped
+export const validateProjects = (list) => {
+  const dropped = [];
+  const projects = (Array.isArray(list) ? list : [])
+    .filter((project, i) => {
+      const ok = isObject(project) && typeof project.name === 'string' && Array.isArray(project.ducts);
+      if (!ok) dropped.push(`project ${i + 1}: missing name or duct list`);
+      return ok;
+    })
+    .map((project) => ({
+      ...project,
+      id: typeof project.id === 'string' ? project.id : newId(),
+      ducts: project.ducts
+        .filter((duct, i) => {
+          const problem = ductProblem(duct);
+          if (problem) dropped.push(`${project.name} / ${typeof duct?.name === 'string' ? duct.name : `duct ${i + 1}`}: ${problem}`);
+          return !problem;
+        })
+        .map((duct) => ({
+          ...duct,
+          id: typeof duct.id === 'string' ? duct.id : newId(),
+          inputs: pick(duct.inputs, Object.keys(DUCT_INPUT_CHECKS)),
+          results: Object.fromEntries(Object.entries(pick(duct.results, DUCT_RESULT_KEYS))
+            .map(([key, value]) => [key, value === null ? NaN : value]))
+        }))
+    }));
+  return { projects, dropped };
+};
+
+export const loadProjects = () => {
+  try {
+    return validateProjects(JSON.parse(window.localStorage.getItem(PROJECTS_STORAGE_KEY))).projects;
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveProjects = (projects) => {
+  try {
+    window.localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify(projects));
+  } catch (err) {
+    // Storage full or disabled (private browsing); projects stay in memory
+  }
+};
+
+export const serializeProjects = (projects) => JSON.stringify({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  projects
+}, null, 2);
+
+// Validates an exported file and returns { projects, dropped }; throws with a readable
+// reason when the file itself is unusable
+export const parseProjectsFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON.');
+  }
+  if (!data || data.format !== PROJECT_FILE_FORMAT) throw new Error('Not a DuctMaster project file.');
+  if (typeof data.version !== 'number' || data.version > PROJECT_FILE_VERSION) {
+    throw new Error(`Unsupported project file version ${data.version}.`);
+  }
+  if (!Array.isArray(data.projects)) throw new Error('Project file has no projects.');
+  return validateProjects(data.projects);
+};
+
+export const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Triggers a browser download of generated content
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// --- DUCT SCHEDULE & SUBMITTAL ---
+export const scheduleHeaders = (units) => [
+  'Tag',
+  `Airflow (${units === 'IP' ? 'CFM' : 'CMH'})`,
+  'Mode',
+  `Round (${units === 'IP' ? 'in' : 'mm'})`,
+  `Rectangular (${units === 'IP' ? 'in' : 'mm'})`,
+  `Velocity (${units === 'IP' ? 'FPM' : 'm/s'})`,
+  `Friction (${units === 'IP' ? 'in.wg/100ft' : 'Pa/m'})`,
+  'Aspect Ratio',
+  'SMACNA Status'
+];
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (headers, rows) =>
+  [headers, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const FORMULA_BASIS = [
+  'Friction: Darcy-Weisbach with Colebrook friction factor and ASHRAE absolute roughness per duct material, or the ASHRAE galvanized friction chart fit 0.109136 Q^1.9 / D^5.02 (Quick chart).',
+  'Air properties: moist-air density from elevation, dry-bulb and RH (ASHRAE Fundamentals Ch. 1); Sutherland viscosity.',
+  'Rectangular equivalent diameter: Huebscher, De = 1.30 (ab)^0.625 / (a + b)^0.25.',
+  'Velocity pressure: VP = ρ (V / 1097)² in.wg.',
+  'Aspect ratio limit 1:4 per SMACNA HVAC Duct Construction Standards.'
+];
+
+// Status cells that print without the warning highlight
+const PASSING_STATUSES = ['OK', 'PASS'];
+
+// Print-formatted submittal page; the browser's print dialog produces the PDF
+export const buildSubmittalHtml = ({ title, subtitle = 'Duct Schedule', units, headers, rows, summary = [], basis = FORMULA_BASIS }) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)} - ${escapeHtml(subtitle)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 32px; }
+  header { border-bottom: 2px solid #111; margin-bottom: 16px; padding-bottom: 8px; }
+  h1 { font-size: 20px; margin: 0; }
+  .meta { font-size: 12px; color: #444; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  th { background: #eee; }
+  .warn { color: #b91c1c; font-weight: bold; }
+  h2 { font-size: 13px; margin-top: 24px; }
+  ol, ul { font-size: 11px; padding-left: 18px; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${escapeHtml(subtitle)} · Units: ${units === 'IP' ? 'IP (inch-pound)' : 'SI (metric)'} · Issued ${escapeHtml(new Date().toLocaleDateString())} · DuctMaster Pro</div>
+</header>
+${summary.length ? `<ul>\n${summary.map((line) => `  <li>${escapeHtml(line)}</li>`).join('\n')}\n</ul>\n` : ''}<table>
+  <thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+  <tbody>
+${rows.map((row) => `    <tr>${row.map((cell, i) => `<td${i === row.length - 1 && !PASSING_STATUSES.includes(cell) ? ' class="warn"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+  </tbody>
+</table>
+<h2>Basis of Calculation</h2>
+<ol>
+${basis.map((line) => `  <li>${escapeHtml(line)}</li>`).join('\n')}
+</ol>
+</body>
+</html>
+`;
+
+// Opens the page in a print window; with pop-ups blocked the page is downloaded instead
+export const openPrintPage = (html, filename) => {
+  const win = window.open('', '_blank');
+  if (!win) {
+    downloadFile(filename, html, 'text/html');
+    return;
+  }
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+};